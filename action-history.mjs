@@ -0,0 +1,114 @@
+/**
+ * Ven Agents — Action History
+ *
+ * Every agent action run from the dashboard (one agent or bulk): who ran
+ * it, when, the parameters, the result, and the backups it left behind —
+ * gateway config backups (gateway-backups/) and the transcripts or
+ * sessions.json backups the gateway archived. Kept in action-history.json,
+ * newest MAX_ENTRIES across the fleet.
+ *
+ * Actions we know how to reverse carry an undo record:
+ *   { kind: 'heartbeat', value }  — the agent's own heartbeat block before (null = none)
+ *   { kind: 'model', value }      — the agent's own model before (null = inherited)
+ *   { kind: 'session', archive }  — transcript archived by "New Session"
+ * Only the newest change of each kind can be undone, so an undo never
+ * quietly reverts something done after it.
+ */
+
+import { readFileSync, existsSync, writeFileSync } from 'fs';
+import { randomBytes } from 'crypto';
+import { agentEntryPatch } from './heartbeat.mjs';
+
+const MAX_ENTRIES = 2000;
+
+export class ActionHistoryStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = [];   // oldest first
+    this.load();
+  }
+
+  load() {
+    if (!existsSync(this.filePath)) return;
+    try {
+      this.entries = JSON.parse(readFileSync(this.filePath, 'utf8')).entries || [];
+    } catch (e) {
+      console.warn(`⚠️  Failed to load action history: ${e.message}`);
+    }
+  }
+
+  save() {
+    try {
+      writeFileSync(this.filePath, JSON.stringify({ entries: this.entries }, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (e) {
+      console.error(`[history] Failed to save: ${e.message}`);
+    }
+  }
+
+  record(agentId, { action, params = {}, by, result, backups = [], undo = null, undoOf = null }) {
+    const entry = {
+      id: randomBytes(6).toString('hex'),
+      agentId,
+      action,
+      params,
+      by: by || null,
+      at: Date.now(),
+      ok: !!result.ok,
+      message: result.ok ? result.message || null : null,
+      error: result.ok ? null : result.error || 'failed',
+      backups,
+      undo: result.ok ? undo : null,
+      undoOf,
+      undone: null,
+    };
+    this.entries.push(entry);
+    if (this.entries.length > MAX_ENTRIES) this.entries.splice(0, this.entries.length - MAX_ENTRIES);
+    this.save();
+    return entry;
+  }
+
+  get(id) {
+    return this.entries.find(e => e.id === id) || null;
+  }
+
+  // Newest first
+  list(agentId, limit = 100) {
+    const out = [];
+    for (let i = this.entries.length - 1; i >= 0 && out.length < limit; i--) {
+      if (this.entries[i].agentId === agentId) out.push(this.entries[i]);
+    }
+    return out;
+  }
+
+  // Why entry can't be undone, or null if it can
+  undoBlocker(entry) {
+    if (!entry.undo) return 'This action cannot be undone';
+    if (entry.undone) return `Already undone by ${entry.undone.by || 'unknown'}`;
+    const later = this.entries.slice(this.entries.indexOf(entry) + 1)
+      .find(e => e.agentId === entry.agentId && e.undo?.kind === entry.undo.kind && !e.undone);
+    if (later) return `A later ${later.action} (${new Date(later.at).toLocaleString()}) changed this again — undo that first`;
+    return null;
+  }
+
+  markUndone(id, { by, historyId }) {
+    const entry = this.get(id);
+    if (!entry) return;
+    entry.undone = { by: by || null, at: Date.now(), historyId };
+    this.save();
+  }
+}
+
+// What the dashboard shows: the undo record itself stays server-side
+export function publicEntry(entry, blocker) {
+  const { undo, ...rest } = entry;
+  return { ...rest, undoKind: undo?.kind || null, undoable: !blocker, undoBlocker: undo ? blocker : null };
+}
+
+// config.patch body putting the agent's own heartbeat or model back as it
+// was. null removes the field, so the agent inherits the defaults again.
+export function undoPatch(gwConfig, gatewayAgentId, undo) {
+  return agentEntryPatch(gwConfig, gatewayAgentId, (entry) => {
+    if (undo.value === null || undo.value === undefined) delete entry[undo.kind];
+    else entry[undo.kind] = undo.value;
+  });
+}
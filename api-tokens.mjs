@@ -0,0 +1,161 @@
+/**
+ * Ven Agents — API Tokens
+ *
+ * Long-lived, scoped bearer tokens for agents and scripts, so they don't
+ * need a dashboard password. Tokens look like `vat_<id>_<secret>`; only a
+ * SHA-256 of the secret is stored (api-tokens.json).
+ *
+ * Rotation reuses the current/previous grace-period check from
+ * security-lib/auth: after a rotate, the old secret keeps working for
+ * TOKEN_GRACE_MS so running agents can pick up the new one.
+ */
+
+import { readFileSync, existsSync, writeFileSync } from 'fs';
+import { createHash, randomBytes } from 'crypto';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { matchRotatingToken, TOKEN_GRACE_MS } = require('./security-lib/auth.cjs');
+
+// Scope → minimum role of the user creating the token
+export const SCOPES = {
+  'snapshot:read': { label: 'Read fleet snapshot & agent state', role: 'viewer' },
+  'analytics:read': { label: 'Read analytics, tokens, traces', role: 'viewer' },
+  'actions:trigger': { label: 'Trigger agent actions', role: 'operator' },
+  'agents:create': { label: 'Create agents', role: 'admin' },
+};
+
+const TOKEN_RE = /^vat_([a-f0-9]{12})_([a-f0-9]{48})$/;
+const LAST_USED_SAVE_MS = 60000;
+
+function sha256(s) {
+  return createHash('sha256').update(String(s)).digest('hex');
+}
+
+export function isApiToken(raw) {
+  return TOKEN_RE.test(String(raw || ''));
+}
+
+export class ApiTokenStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.tokens = [];
+    this._lastSave = 0;
+    this.load();
+  }
+
+  load() {
+    if (!existsSync(this.filePath)) return;
+    try {
+      this.tokens = JSON.parse(readFileSync(this.filePath, 'utf8')).tokens || [];
+    } catch (e) {
+      console.warn(`⚠️  Failed to load API tokens: ${e.message}`);
+    }
+  }
+
+  save() {
+    this._lastSave = Date.now();
+    try {
+      writeFileSync(this.filePath, JSON.stringify({ tokens: this.tokens }, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (e) {
+      console.error(`[api-tokens] Failed to save: ${e.message}`);
+    }
+  }
+
+  // Returns { token, record } — the raw token is only ever shown once
+  create({ name, scopes, expiresDays, createdBy }) {
+    const id = randomBytes(6).toString('hex');
+    const secret = randomBytes(24).toString('hex');
+    const now = Date.now();
+    const record = {
+      id,
+      name: String(name).slice(0, 64),
+      scopes,
+      createdBy,
+      created: now,
+      expires: expiresDays ? now + expiresDays * 86400000 : null,
+      lastUsed: null,
+      revoked: null,
+      token: sha256(secret),
+      previousToken: null,
+      previousExpires: null,
+    };
+    this.tokens.push(record);
+    this.save();
+    return { token: `vat_${id}_${secret}`, record };
+  }
+
+  // New secret; the old one stays valid for the grace period
+  rotate(id) {
+    const record = this.find(id);
+    if (!record || record.revoked) return null;
+    const secret = randomBytes(24).toString('hex');
+    record.previousToken = record.token;
+    record.previousExpires = Date.now() + TOKEN_GRACE_MS;
+    record.token = sha256(secret);
+    record.rotated = Date.now();
+    this.save();
+    return { token: `vat_${id}_${secret}`, record };
+  }
+
+  revoke(id) {
+    const record = this.find(id);
+    if (!record || record.revoked) return null;
+    record.revoked = Date.now();
+    record.previousToken = null;
+    this.save();
+    return record;
+  }
+
+  // Revokes every live token a user created; returns how many
+  revokeUser(username) {
+    const records = this.tokens.filter(t => t.createdBy === username && !t.revoked);
+    for (const record of records) {
+      record.revoked = Date.now();
+      record.previousToken = null;
+    }
+    if (records.length) this.save();
+    return records.length;
+  }
+
+  find(id) {
+    return this.tokens.find(t => t.id === id) || null;
+  }
+
+  // Returns { valid, record?, reason?, warning? }
+  verify(raw) {
+    const m = String(raw || '').match(TOKEN_RE);
+    if (!m) return { valid: false, reason: 'invalid_token' };
+    const record = this.find(m[1]);
+    if (!record) return { valid: false, reason: 'invalid_token' };
+    if (record.revoked) return { valid: false, reason: 'token_revoked' };
+    if (record.expires && Date.now() > record.expires) return { valid: false, reason: 'token_expired' };
+
+    // Expiry is absolute (record.expires), so no max-age on the rotating check
+    const result = matchRotatingToken(record, sha256(m[2]), 0);
+    if (!result.valid) return result;
+
+    record.lastUsed = Date.now();
+    if (Date.now() - this._lastSave > LAST_USED_SAVE_MS) this.save();
+    return { ...result, record };
+  }
+
+  list() {
+    return this.tokens.map(publicToken);
+  }
+}
+
+export function publicToken(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    scopes: t.scopes,
+    createdBy: t.createdBy,
+    created: t.created,
+    expires: t.expires,
+    lastUsed: t.lastUsed,
+    revoked: t.revoked,
+    rotated: t.rotated || null,
+    graceUntil: t.previousToken && t.previousExpires > Date.now() ? t.previousExpires : null,
+  };
+}
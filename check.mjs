@@ -3,7 +3,8 @@
  * Ven Agents — Self-Check
  * 
  * Run on any OpenClaw agent to verify essential skills, settings, and tools.
- * Outputs a JSON report with pass/fail/warn for each check.
+ * Outputs a JSON report with pass/fail/warn for each check. The essential
+ * and recommended skills come from clawd-control.config.json (skills.*).
  * 
  * Usage: node check.mjs [--workspace /path] [--json] [--post]
  *   --workspace  Path to agent workspace (default: cwd)
@@ -12,8 +13,10 @@
  */
 
 import { readFileSync, existsSync, readdirSync } from 'fs';
-import { join, resolve } from 'path';
+import { join, resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
 import { execSync } from 'child_process';
+import { loadConfig, CONFIG_FILENAME } from './config.mjs';
 
 const args = process.argv.slice(2);
 const flags = {};
@@ -72,16 +75,15 @@ for (const [file, desc] of requiredFiles) {
 // ═══════════════════════════════════════════
 // 2. SKILLS
 // ═══════════════════════════════════════════
-const essentialSkills = [
-  ['email', 'Email skill — send/receive email'],
-  ['temaki', 'Temaki skill — workspace interaction'],
-  ['the-playground', 'The Playground — social presence'],
-];
-
-const recommendedSkills = [
-  ['reports', 'Reports — strategic intelligence'],
-  ['briefing', 'Briefing — daily intelligence'],
-];
+// skills.essential / skills.recommended in clawd-control.config.json
+const { config: CONFIG, errors: configErrors } = loadConfig(dirname(fileURLToPath(import.meta.url)));
+if (configErrors.length) {
+  console.error(`❌ Invalid ${CONFIG_FILENAME}:`);
+  for (const err of configErrors) console.error(`   • ${err}`);
+  process.exit(1);
+}
+const essentialSkills = Object.entries(CONFIG.skills.essential);
+const recommendedSkills = Object.entries(CONFIG.skills.recommended);
 
 for (const [skill, desc] of essentialSkills) {
   const skillPath = join('skills', skill);
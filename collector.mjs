@@ -17,6 +17,14 @@ import { join } from 'path';
 
 const DIR = new URL('.', import.meta.url).pathname;
 
+// Polling only reads. Actions (config.patch, sessions.reset, …) need write
+// scopes and run on their own short-lived connection — see callAgent().
+const READ_SCOPES = ['operator.read'];
+const OPERATOR_SCOPES = ['operator.read', 'operator.write', 'operator.admin'];
+const OPERATOR_TIMEOUT_MS = 15000;
+const CHAT_TIMEOUT_MS = 5 * 60 * 1000;
+const CHAT_DONE_STATES = ['final', 'error', 'aborted'];
+
 export class AgentCollector extends EventEmitter {
   constructor(configPath) {
     super();
@@ -70,6 +78,7 @@ export class AgentCollector extends EventEmitter {
           machine: agent.machine, online: false, lastSeen: null,
           health: null, sessions: null, usage: null, heartbeat: null,
           presence: null, channels: null, cron: null, error: null,
+          paused: null,
         });
       }
     }
@@ -106,6 +115,11 @@ export class AgentCollector extends EventEmitter {
     return { ts: Date.now(), agents: Object.fromEntries(this.state), host: this.hostMetrics };
   }
 
+  // Dashboard-side pause info (see pause.mjs) — polling never overwrites it
+  setPaused(agentId, paused) {
+    if (this.state.has(agentId)) this._updateState(agentId, { paused });
+  }
+
   // ── WebSocket Connection (per gateway) ──
 
   _connect(gwKey) {
@@ -169,6 +183,88 @@ export class AgentCollector extends EventEmitter {
     });
   }
 
+  _connectParams(gw, scopes) {
+    return {
+      minProtocol: 3, maxProtocol: 3,
+      client: { id: 'openclaw-probe', version: '2.0.0', platform: 'linux', mode: 'backend' },
+      auth: { token: gw.token },
+      scopes,
+    };
+  }
+
+  // ── Operator RPC (write scopes) ──
+
+  // Runs one RPC on the gateway that owns the agent (local or remote).
+  // Unlike _call, failures reject with the gateway's error message.
+  callAgent(agentId, method, params) {
+    const gwKey = this.agentGateway.get(agentId);
+    if (!gwKey) return Promise.reject(new Error(`Unknown agent: ${agentId}`));
+    return this._operatorCall(this.gateways.get(gwKey), method, params);
+  }
+
+  // Same, for a gateway given as { host, port, token } — e.g. the local
+  // gateway while an agent is being created and isn't in agents.json yet
+  callGateway(gw, method, params) {
+    return this._operatorCall(gw, method, params);
+  }
+
+  // Sends a chat message into a session and forwards the gateway's `chat`
+  // events for it (delta → final/error/aborted) to onEvent. Resolves with
+  // the last event once the run is done.
+  chatAgent(agentId, { sessionKey, message, idempotencyKey }, onEvent, { signal } = {}) {
+    const gwKey = this.agentGateway.get(agentId);
+    if (!gwKey) return Promise.reject(new Error(`Unknown agent: ${agentId}`));
+    return this._operatorCall(this.gateways.get(gwKey), 'chat.send', { sessionKey, message, idempotencyKey }, {
+      timeoutMs: CHAT_TIMEOUT_MS,
+      signal,
+      onEvent: (msg) => {
+        if (msg.event !== 'chat' || msg.payload?.sessionKey !== sessionKey) return false;
+        onEvent(msg.payload);
+        return CHAT_DONE_STATES.includes(msg.payload.state);
+      },
+    });
+  }
+
+  // With opts.onEvent the connection stays open after the call is accepted;
+  // events go to onEvent until it returns true (resolving with that event).
+  _operatorCall(gw, method, params, { onEvent, timeoutMs = OPERATOR_TIMEOUT_MS, signal } = {}) {
+    const where = `gateway ${gw.host}:${gw.port}`;
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const ws = new WebSocket(`ws://${gw.host}:${gw.port}`);
+      const finish = (err, payload) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        try { ws.close(); } catch {}
+        signal?.removeEventListener('abort', onAbort);
+        if (err) reject(err); else resolve(payload);
+      };
+      const timer = setTimeout(() => finish(new Error(`${where} timed out (${method})`)), timeoutMs);
+      const onAbort = () => finish(new Error(`${method} cancelled`));
+      signal?.addEventListener('abort', onAbort);
+      if (signal?.aborted) onAbort();
+
+      ws.on('error', (e) => finish(new Error(`${where}: ${e.message}`)));
+      ws.on('close', () => finish(new Error(`${where} closed the connection (${method})`)));
+      ws.on('message', (data) => {
+        let msg;
+        try { msg = JSON.parse(data.toString()); } catch { return; }
+        if (msg.type === 'event' && msg.event === 'connect.challenge') {
+          ws.send(JSON.stringify({ type: 'req', id: 'connect', method: 'connect', params: this._connectParams(gw, OPERATOR_SCOPES) }));
+        } else if (msg.type === 'event' && onEvent) {
+          if (onEvent(msg)) finish(null, msg.payload);
+        } else if (msg.type === 'res' && msg.id === 'connect') {
+          if (!msg.ok) return finish(new Error(`${where} refused operator access: ${msg.error?.message || 'unknown error'}`));
+          ws.send(JSON.stringify({ type: 'req', id: 'call', method, params: params || {} }));
+        } else if (msg.type === 'res' && msg.id === 'call') {
+          if (!msg.ok) finish(new Error(msg.error?.message || `${method} failed`));
+          else if (!onEvent) finish(null, msg.payload);
+        }
+      });
+    });
+  }
+
   _handleMessage(gwKey, msg) {
     const gw = this.gateways.get(gwKey);
 
@@ -176,12 +272,7 @@ export class AgentCollector extends EventEmitter {
       if (msg.event === 'connect.challenge') {
         this._sendFrame(gwKey, {
           type: 'req', id: String(++this._reqCounter), method: 'connect',
-          params: {
-            minProtocol: 3, maxProtocol: 3,
-            client: { id: 'openclaw-probe', version: '2.0.0', platform: 'linux', mode: 'backend' },
-            auth: { token: gw.token },
-            scopes: ['operator.read'],
-          },
+          params: this._connectParams(gw, READ_SCOPES),
         });
         return;
       }
@@ -0,0 +1,149 @@
+/**
+ * Ven Agents — Server Config
+ *
+ * Loads clawd-control.config.json (next to server.mjs), fills in defaults
+ * and validates it against a small schema. Every problem is collected so
+ * startup can report them all at once instead of failing on the first.
+ *
+ * Paths may start with "~"; relative paths resolve from the config's
+ * directory. CLI flags (--port, --bind, --tls-*, …) override the file.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { homedir } from 'os';
+import { compileNetworkPolicy } from './ip-policy.mjs';
+
+export const CONFIG_FILENAME = 'clawd-control.config.json';
+
+// type: port | string | boolean | number | path | string[] | map (string → string) | object
+const SCHEMA = {
+  port: { type: 'port', default: 3100 },
+  bind: { type: 'string', default: '0.0.0.0' },
+  allowedOrigins: { type: 'string[]', default: [] },
+  workspace: { type: 'path', default: '~/clawd' },          // secrets/ + logs/ for the security audit
+  openclawHome: { type: 'path', default: '~/.openclaw' },   // openclaw.json + agents/<id>/sessions archives
+  agentAliases: { type: 'map', default: {} },               // dashboard id → gateway agent id
+  skillLibrary: { type: 'path', default: null },            // <name>/SKILL.md skills to install from
+  dataDir: { type: 'path', default: '~/.clawd-control' },   // users, sessions, backups — never served
+  analytics: {
+    type: 'object',
+    fields: {
+      instancesDir: { type: 'path', default: '~' },         // where .openclaw-<agentId> dirs live
+      activeWithinHours: { type: 'number', min: 0, default: 48 },  // 0 = include all
+      skipAgents: { type: 'string[]', default: ['archive'] },
+    },
+  },
+  skills: {
+    type: 'object',
+    fields: {
+      // skill name → what it's for. Checked by check.mjs and the Skills page.
+      essential: {
+        type: 'map',
+        default: {
+          email: 'Email skill — send/receive email',
+          temaki: 'Temaki skill — workspace interaction',
+          'the-playground': 'The Playground — social presence',
+        },
+      },
+      recommended: {
+        type: 'map',
+        default: {
+          reports: 'Reports — strategic intelligence',
+          briefing: 'Briefing — daily intelligence',
+        },
+      },
+    },
+  },
+  tls: {
+    type: 'object',
+    fields: {
+      cert: { type: 'path', default: null },
+      key: { type: 'path', default: null },
+      selfSigned: { type: 'boolean', default: false },
+      redirectPort: { type: 'port', default: null },
+      redirectHost: { type: 'string', default: null },      // where HTTP redirects to; default: bind address or hostname
+    },
+  },
+  network: { type: 'object', default: {} },                // rules checked by ip-policy.mjs
+};
+
+function typeName(value) {
+  return value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+}
+
+function expandPath(p, baseDir) {
+  if (p === '~') return homedir();
+  if (p.startsWith('~/')) return join(homedir(), p.slice(2));
+  return resolve(baseDir, p);
+}
+
+function checkValue(spec, value, key, baseDir, errors) {
+  const fail = (msg) => { errors.push(`${key}: ${msg}`); return undefined; };
+  switch (spec.type) {
+    case 'port':
+      if (!Number.isInteger(value) || value < 1 || value > 65535) return fail(`expected a port number (1–65535), got ${JSON.stringify(value)}`);
+      return value;
+    case 'string':
+      if (typeof value !== 'string' || !value) return fail(`expected a non-empty string, got ${value === '' ? 'an empty one' : typeName(value)}`);
+      return value;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail(`expected true or false, got ${typeName(value)}`);
+      return value;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail(`expected a number, got ${typeName(value)}`);
+      if (spec.min !== undefined && value < spec.min) return fail(`must be at least ${spec.min}`);
+      return value;
+    case 'path':
+      if (typeof value !== 'string' || !value) return fail(`expected a path, got ${value === '' ? 'an empty string' : typeName(value)}`);
+      return expandPath(value, baseDir);
+    case 'string[]':
+      if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) return fail('expected an array of strings');
+      return value;
+    case 'map':
+      if (typeName(value) !== 'object' || Object.values(value).some(v => typeof v !== 'string')) return fail('expected an object of string values');
+      return value;
+    case 'object':
+      if (typeName(value) !== 'object') return fail(`expected an object, got ${typeName(value)}`);
+      return spec.fields ? checkObject(spec.fields, value, `${key}.`, baseDir, errors) : value;
+  }
+}
+
+function checkObject(fields, input, prefix, baseDir, errors) {
+  const out = {};
+  for (const key of Object.keys(input)) {
+    if (!(key in fields)) errors.push(`${prefix}${key}: unknown setting`);
+  }
+  for (const [key, spec] of Object.entries(fields)) {
+    if (input[key] === undefined) {
+      out[key] = spec.fields ? checkObject(spec.fields, {}, `${prefix}${key}.`, baseDir, errors) : structuredClone(spec.default);
+      if (spec.type === 'path' && out[key]) out[key] = expandPath(out[key], baseDir);
+      continue;
+    }
+    const value = checkValue(spec, input[key], `${prefix}${key}`, baseDir, errors);
+    out[key] = value === undefined ? structuredClone(spec.default) : value;
+  }
+  return out;
+}
+
+// Returns { config, errors, path, exists }. config always has every key,
+// falling back to defaults where the file is missing or a value is invalid.
+export function loadConfig(dir) {
+  const path = join(dir, CONFIG_FILENAME);
+  const exists = existsSync(path);
+  const errors = [];
+  let raw = {};
+  if (exists) {
+    try { raw = JSON.parse(readFileSync(path, 'utf8')); }
+    catch (e) { errors.push(`not valid JSON (${e.message})`); }
+    if (typeName(raw) !== 'object') {
+      errors.push(`expected a JSON object at the top level, got ${typeName(raw)}`);
+      raw = {};
+    }
+  }
+
+  const config = checkObject(SCHEMA, raw, '', dir, errors);
+  try { compileNetworkPolicy(config.network); }
+  catch (e) { errors.push(e.message); }
+  return { config, errors, path, exists };
+}
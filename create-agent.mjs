@@ -41,7 +41,11 @@ function writeIfMissing(path, content) {
   return false;
 }
 
-export async function createAgent({ name, emoji, soul, model, telegramToken }) {
+// openclawHome: the local gateway's state dir (openclawHome in the config).
+// updateGatewayConfig(buildPatch): the server's config.patch helper, which
+// backs up the config and passes its baseHash; buildPatch gets the current
+// config and returns the merge-patch to apply.
+export async function createAgent({ name, emoji, soul, model, telegramToken }, { openclawHome = join(process.env.HOME, '.openclaw'), updateGatewayConfig }) {
   const steps = [];
   const id = name.toLowerCase().replace(/[^a-z0-9-]/g, '');
   const displayName = name.charAt(0).toUpperCase() + name.slice(1);
@@ -229,7 +233,7 @@ node_modules/`);
     }
   }
 
-  // Configure gateway via config.patch (safe atomic updates)
+  // Configure gateway via config.patch (backed up, baseHash-checked)
   try {
     // Build patch object
     const patch = { tools: { agentToAgent: { enabled: true } } };
@@ -246,32 +250,23 @@ node_modules/`);
       };
     }
 
-    // Apply config patch via gateway RPC
-    execFileSync('openclaw', ['gateway', 'config.patch', '--json', JSON.stringify(patch)], { encoding: 'utf8', stdio: 'pipe' });
-
-    // Add binding (read config to check, then patch if needed)
-    if (telegramVerified) {
-      const configPath = join(process.env.HOME, '.openclaw', 'openclaw.json');
-      const config = JSON.parse(readFileSync(configPath, 'utf8'));
-      if (!config.bindings) config.bindings = [];
-      const hasBinding = config.bindings.some(
+    // One config.patch; the Telegram binding is added to the bindings it's based on
+    const backup = await updateGatewayConfig(config => {
+      const bindings = config.bindings || [];
+      const hasBinding = bindings.some(
         b => b.agentId === id && b.match?.channel === 'telegram' && b.match?.accountId === id
       );
-      if (!hasBinding) {
-        config.bindings.push({
-          agentId: id,
-          match: { channel: 'telegram', accountId: id }
-        });
-        // Bindings are an array — config.patch may not merge arrays, so write this part directly
-        writeFileSync(configPath, JSON.stringify(config, null, 2), 'utf8');
-      }
-    }
+      if (!telegramVerified || hasBinding) return patch;
+      // Merge-patch replaces arrays wholesale, so send the full list back
+      return { ...patch, bindings: [...bindings, { agentId: id, match: { channel: 'telegram', accountId: id } }] };
+    });
 
     // Ensure agent sessions directory exists (gateway needs it)
-    const agentSessionsDir = join(process.env.HOME, '.openclaw', 'agents', id, 'sessions');
+    const agentSessionsDir = join(openclawHome, 'agents', id, 'sessions');
     mkdirSync(agentSessionsDir, { recursive: true });
 
     steps.push('✅ Cross-agent permissions configured');
+    if (backup) steps.push(`💾 Previous gateway config backed up (${backup})`);
     if (telegramVerified) steps.push(`📱 Telegram bound as account "${id}"`);
     else if (telegramToken) steps.push('⏭️ Telegram binding skipped (verification failed)');
     else steps.push('⏭️ Telegram skipped');
@@ -284,7 +279,7 @@ node_modules/`);
   try {
     const dashConfig = JSON.parse(readFileSync(join(DIR, 'agents.json'), 'utf8'));
     if (!dashConfig.agents.some(a => a.id === id)) {
-      const configPath = join(process.env.HOME, '.openclaw', 'openclaw.json');
+      const configPath = join(openclawHome, 'openclaw.json');
       const config = JSON.parse(readFileSync(configPath, 'utf8'));
 
       dashConfig.agents.push({
@@ -0,0 +1,55 @@
+/**
+ * Ven Agents — Daily Notes
+ *
+ * An agent's daily notes are memory/YYYY-MM-DD.md in its workspace. Lists
+ * them with word counts for the timeline on the agent page and reads one
+ * day at a time. Word counts are cached by mtime so a long history isn't
+ * re-read on every request.
+ */
+
+import { readFileSync, existsSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+
+const NOTE_RE = /^(\d{4}-\d{2}-\d{2})\.md$/;
+
+const wordCache = new Map();   // file → { mtime, words }
+
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+export function isNoteDate(date) {
+  return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && !Number.isNaN(Date.parse(date));
+}
+
+// [{ date, words, size, mtime }], oldest first
+export function listDailyNotes(workspace) {
+  const dir = join(workspace, 'memory');
+  if (!existsSync(dir)) return [];
+  const notes = [];
+  for (const name of readdirSync(dir)) {
+    const date = name.match(NOTE_RE)?.[1];
+    if (!date || !isNoteDate(date)) continue;
+    const file = join(dir, name);
+    try {
+      const st = statSync(file);
+      if (!st.isFile()) continue;
+      let cached = wordCache.get(file);
+      if (!cached || cached.mtime !== st.mtimeMs) {
+        cached = { mtime: st.mtimeMs, words: countWords(readFileSync(file, 'utf8')) };
+        wordCache.set(file, cached);
+      }
+      notes.push({ date, words: cached.words, size: st.size, mtime: st.mtimeMs });
+    } catch {}
+  }
+  return notes.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// { date, content, words, mtime } or null
+export function readDailyNote(workspace, date) {
+  if (!isNoteDate(date)) return null;
+  const file = join(workspace, 'memory', `${date}.md`);
+  if (!existsSync(file)) return null;
+  const content = readFileSync(file, 'utf8');
+  return { date, content, words: countWords(content), mtime: statSync(file).mtimeMs };
+}
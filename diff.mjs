@@ -0,0 +1,47 @@
+/**
+ * Ven Agents — Line Diff
+ *
+ * LCS line diff used by the gateway config editor and the workspace file
+ * history. Output is [{ op: ' ' | '-' | '+', text }] with removals before
+ * additions in each changed run, like diff -u.
+ */
+
+const DIFF_MAX_CELLS = 4_000_000;
+
+export function diffLines(a, b) {
+  // Trim the common head and tail so the LCS table stays small
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+
+  const out = a.slice(0, head).map(text => ({ op: ' ', text }));
+  if ((midA.length + 1) * (midB.length + 1) > DIFF_MAX_CELLS) {
+    out.push(...midA.map(text => ({ op: '-', text })), ...midB.map(text => ({ op: '+', text })));
+  } else {
+    const n = midA.length, m = midB.length;
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && midA[i] === midB[j]) { out.push({ op: ' ', text: midA[i] }); i++; j++; }
+      else if (i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) { out.push({ op: '-', text: midA[i] }); i++; }
+      else { out.push({ op: '+', text: midB[j] }); j++; }
+    }
+  }
+  out.push(...a.slice(a.length - tail).map(text => ({ op: ' ', text })));
+  return out;
+}
+
+// Line diff of two strings; '' and null count as no lines
+export function diffText(before, after) {
+  return diffLines(before ? before.split('\n') : [], after ? after.split('\n') : []);
+}
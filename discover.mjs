@@ -12,12 +12,11 @@ import { readFileSync, existsSync, readdirSync, statSync } from 'fs';
 import { join } from 'path';
 import { homedir } from 'os';
 
-export function discoverAgents() {
-  const openclawDir = join(homedir(), '.openclaw');
+export function discoverAgents(openclawDir = join(homedir(), '.openclaw')) {
   const configPath = join(openclawDir, 'openclaw.json');
 
   if (!existsSync(configPath)) {
-    console.log('ℹ️  No ~/.openclaw/openclaw.json found. Create agents.json manually.');
+    console.log(`ℹ️  No ${configPath} found. Create agents.json manually.`);
     return { agents: [], pollIntervalMs: 15000, hostMetricsIntervalMs: 30000 };
   }
 
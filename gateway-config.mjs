@@ -0,0 +1,193 @@
+/**
+ * Ven Agents — Gateway Config
+ *
+ * Helpers for editing a gateway's openclaw.json through the dashboard:
+ * masking secrets for display (and putting them back on save), building
+ * the merge-patch config.patch expects, a line diff for the preview,
+ * validation of the sections we understand, and timestamped backups.
+ *
+ * Backups hold the full unmasked config, one directory per gateway:
+ *   gateway-backups/<host>-<port>/<ts>.json
+ */
+
+import { readFileSync, writeFileSync, existsSync, readdirSync, mkdirSync, statSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { validateHeartbeat } from './heartbeat.mjs';
+import { validateModel } from './model.mjs';
+import { diffLines } from './diff.mjs';
+
+export const MASK = '••••••••';
+
+const SECRET_KEY_RE = /(token|secret|password|passwd|apikey|api_key|privatekey|private_key|credential)s?$/i;
+const BACKUP_RE = /^(\d+)\.json$/;
+const MAX_BACKUPS = 50;
+
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function typeName(v) {
+  return v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v;
+}
+
+// ── Secrets ──
+
+// Copy of value with every string under a secret-looking key replaced by MASK
+export function maskSecrets(value) {
+  if (Array.isArray(value)) return value.map(maskSecrets);
+  if (!isObject(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) =>
+    [k, typeof v === 'string' && v && SECRET_KEY_RE.test(k) ? MASK : maskSecrets(v)]));
+}
+
+// Puts the original secret back wherever the edited value still holds MASK.
+// Returns { value, errors } — a MASK with no original behind it is an error.
+export function unmaskSecrets(edited, original, path = '') {
+  const errors = [];
+  const walk = (e, o, p) => {
+    if (e === MASK) {
+      if (typeof o === 'string') return o;
+      errors.push(`${p || 'value'}: masked value has no saved secret — type the real value`);
+      return e;
+    }
+    if (Array.isArray(e)) return e.map((v, i) => walk(v, Array.isArray(o) ? o[i] : undefined, `${p}[${i}]`));
+    if (isObject(e)) {
+      return Object.fromEntries(Object.entries(e).map(([k, v]) =>
+        [k, walk(v, isObject(o) ? o[k] : undefined, p ? `${p}.${k}` : k)]));
+    }
+    return e;
+  };
+  const value = walk(edited, original, path);
+  return { value, errors };
+}
+
+// ── Patch + diff ──
+
+// RFC 7386 merge patch turning before into after (null deletes a key,
+// arrays and scalars are replaced whole). undefined when nothing changed.
+export function mergePatchFor(before, after) {
+  if (!isObject(before) || !isObject(after)) {
+    return JSON.stringify(before) === JSON.stringify(after) ? undefined : after;
+  }
+  const patch = {};
+  for (const key of Object.keys(before)) {
+    if (!(key in after)) patch[key] = null;
+  }
+  for (const [key, value] of Object.entries(after)) {
+    const sub = key in before ? mergePatchFor(before[key], value) : value;
+    if (sub !== undefined) patch[key] = sub;
+  }
+  return Object.keys(patch).length ? patch : undefined;
+}
+
+// Line diff of two values pretty-printed as JSON: [{ op: ' ' | '-' | '+', text }]
+export function diffJson(before, after) {
+  const a = before === undefined ? [] : JSON.stringify(before, null, 2).split('\n');
+  const b = after === undefined ? [] : JSON.stringify(after, null, 2).split('\n');
+  return diffLines(a, b);
+}
+
+// ── Validation ──
+
+function checkAgents(value, errors) {
+  const list = value.list ?? value.agents;
+  if (list === undefined) return;
+  if (!Array.isArray(list)) return errors.push('agents.list: expected an array');
+  const seen = new Set();
+  list.forEach((a, i) => {
+    const at = `agents.list[${i}]`;
+    if (!isObject(a) || typeof a.id !== 'string' || !a.id) return errors.push(`${at}: needs a string "id"`);
+    if (seen.has(a.id)) errors.push(`${at}: duplicate id "${a.id}"`);
+    seen.add(a.id);
+    if (a.heartbeat !== undefined) {
+      if (!isObject(a.heartbeat)) errors.push(`${at}.heartbeat: expected an object`);
+      else {
+        const error = validateHeartbeat(a.heartbeat);
+        if (error) errors.push(`${at}.heartbeat: ${error}`);
+      }
+    }
+    if (a.model !== undefined) {
+      const primary = isObject(a.model) ? a.model.primary : a.model;
+      const error = validateModel(primary);
+      if (error) errors.push(`${at}.model: ${error}`);
+    }
+  });
+  if (value.defaults?.heartbeat !== undefined) {
+    const error = isObject(value.defaults.heartbeat) ? validateHeartbeat(value.defaults.heartbeat) : 'expected an object';
+    if (error) errors.push(`agents.defaults.heartbeat: ${error}`);
+  }
+}
+
+function checkBindings(value, agentIds, errors) {
+  value.forEach((b, i) => {
+    const at = `bindings[${i}]`;
+    if (!isObject(b)) return errors.push(`${at}: expected an object`);
+    if (typeof b.agentId !== 'string' || !b.agentId) errors.push(`${at}: needs a string "agentId"`);
+    else if (agentIds.size && !agentIds.has(b.agentId)) errors.push(`${at}: agent "${b.agentId}" is not in agents.list`);
+    if (!isObject(b.match) || typeof b.match.channel !== 'string' || !b.match.channel) errors.push(`${at}: needs match.channel`);
+  });
+}
+
+// Errors for replacing config[section] with value. The gateway validates
+// the whole config again on config.patch; this catches the common mistakes
+// before anything is sent.
+export function validateSection(config, section, value) {
+  const errors = [];
+  if (!/^[A-Za-z_$][\w$-]*$/.test(section)) return [`"${section}" is not a valid section name`];
+  const before = config[section];
+  if (before !== undefined && value !== null && typeName(before) !== typeName(value)) {
+    return [`${section}: expected ${typeName(before) === 'object' ? 'an object' : `a ${typeName(before)}`}, got ${typeName(value)}`];
+  }
+  if (section === 'agents' && isObject(value)) checkAgents(value, errors);
+  if (section === 'bindings' && Array.isArray(value)) {
+    const list = config.agents?.list ?? config.agents?.agents ?? [];
+    checkBindings(value, new Set(list.map(a => a.id)), errors);
+  }
+  if (section === 'gateway' && isObject(value) && value.port !== undefined) {
+    if (!Number.isInteger(value.port) || value.port < 1 || value.port > 65535) errors.push('gateway.port: expected a port number (1–65535)');
+  }
+  return errors;
+}
+
+// ── Backups ──
+
+export function gatewayBackupDir(rootDir, host, port) {
+  return join(rootDir, `${String(host).replace(/[^\w.-]/g, '_')}-${port}`);
+}
+
+// Writes a backup and prunes all but the newest MAX_BACKUPS. Returns its name.
+export function saveBackup(dir, config, meta = {}) {
+  mkdirSync(dir, { recursive: true, mode: 0o700 });
+  let ts = Date.now();
+  while (existsSync(join(dir, `${ts}.json`))) ts++;
+  const name = `${ts}.json`;
+  writeFileSync(join(dir, name), JSON.stringify({ ...meta, savedAt: ts, config }, null, 2), { encoding: 'utf8', mode: 0o600 });
+  const names = readdirSync(dir).filter(n => BACKUP_RE.test(n)).sort().reverse();
+  for (const old of names.slice(MAX_BACKUPS)) {
+    try { unlinkSync(join(dir, old)); } catch {}
+  }
+  return name;
+}
+
+// [{ name, savedAt, savedBy, reason, size }], newest first
+export function listBackups(dir) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(n => BACKUP_RE.test(n))
+    .map(name => {
+      try {
+        const { savedAt, savedBy, reason } = JSON.parse(readFileSync(join(dir, name), 'utf8'));
+        return { name, savedAt, savedBy: savedBy || null, reason: reason || null, size: statSync(join(dir, name)).size };
+      } catch { return null; }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+// Full config stored in a backup, or null
+export function readBackup(dir, name) {
+  if (typeof name !== 'string' || !BACKUP_RE.test(name)) return null;
+  const file = join(dir, name);
+  if (!existsSync(file)) return null;
+  try { return JSON.parse(readFileSync(file, 'utf8')).config ?? null; } catch { return null; }
+}
@@ -0,0 +1,96 @@
+/**
+ * Ven Agents — Heartbeat Schedules
+ *
+ * Per-agent heartbeat settings in the gateway config. An agent's entry in
+ * agents.list can carry its own heartbeat block, which overrides
+ * agents.defaults.heartbeat — so one agent can be paused or rescheduled
+ * without touching the rest of the fleet.
+ *
+ *   agents.list[i].heartbeat: { every: "30m" | "off",
+ *                               activeHours: { start: "08:00", end: "22:00", timezone? } }
+ */
+
+export const DEFAULT_INTERVAL = '55m';   // when enabling an agent that never had one
+
+const INTERVAL_RE = /^\d+(ms|s|m|h|d)$/;
+const TIME_RE = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+export function isHeartbeatOff(every) {
+  return every === 'off' || /^0+(ms|s|m|h|d)?$/.test(String(every ?? ''));
+}
+
+// agents.list in current gateways, agents.agents in older ones
+export function agentList(gwConfig) {
+  const agents = gwConfig?.agents || {};
+  const key = Array.isArray(agents.agents) && !Array.isArray(agents.list) ? 'agents' : 'list';
+  return { key, list: Array.isArray(agents[key]) ? agents[key] : [] };
+}
+
+// Effective schedule for one agent. every === null means the gateway's
+// built-in default interval applies.
+export function resolveHeartbeat(gwConfig, gatewayAgentId) {
+  const defaults = gwConfig?.agents?.defaults?.heartbeat || {};
+  const own = agentList(gwConfig).list.find(a => a.id === gatewayAgentId)?.heartbeat || null;
+  const every = own?.every ?? defaults.every ?? null;
+  return {
+    enabled: !isHeartbeatOff(every),
+    every,
+    activeHours: own?.activeHours ?? defaults.activeHours ?? null,
+    source: own ? 'agent' : 'defaults',
+    defaults: { every: defaults.every ?? null, activeHours: defaults.activeHours ?? null },
+  };
+}
+
+// Interval to restore when turning an agent's heartbeat back on
+export function enableInterval(schedule) {
+  if (schedule.defaults.every && !isHeartbeatOff(schedule.defaults.every)) return schedule.defaults.every;
+  return DEFAULT_INTERVAL;
+}
+
+// Returns an error message, or null when { every?, activeHours? } is valid.
+// activeHours: null clears the window (heartbeats run around the clock).
+export function validateHeartbeat(changes) {
+  if ('every' in changes && changes.every !== 'off' && !INTERVAL_RE.test(String(changes.every))) {
+    return 'Interval must look like 30m, 2h or 1d (or "off")';
+  }
+  if ('activeHours' in changes && changes.activeHours !== null) {
+    const { start, end, timezone } = changes.activeHours || {};
+    if (!TIME_RE.test(String(start)) || !TIME_RE.test(String(end))) return 'Active hours need start and end as HH:MM';
+    if (start === end) return 'Active hours start and end must differ';
+    if (timezone !== undefined && (typeof timezone !== 'string' || !timezone.trim())) return 'Timezone must be a non-empty string';
+  }
+  return null;
+}
+
+// Builds a config.patch body that changes only this agent's entry, via
+// update(entry). Merge-patch replaces arrays wholesale, so the whole agent
+// list is sent back with just the one entry modified.
+export function agentEntryPatch(gwConfig, gatewayAgentId, update) {
+  const { key, list } = agentList(gwConfig);
+  const next = list.map(a => ({ ...a }));
+  let entry = next.find(a => a.id === gatewayAgentId);
+  if (!entry) {
+    // Single-agent gateways often have no list at all
+    if (next.length) throw new Error(`Agent "${gatewayAgentId}" is not in the gateway's agent list`);
+    entry = { id: gatewayAgentId };
+    next.push(entry);
+  }
+  update(entry);
+  return { agents: { [key]: next } };
+}
+
+export function heartbeatPatch(gwConfig, gatewayAgentId, changes) {
+  return agentEntryPatch(gwConfig, gatewayAgentId, (entry) => {
+    const heartbeat = { ...(entry.heartbeat || {}) };
+    if ('every' in changes) heartbeat.every = changes.every;
+    if ('activeHours' in changes) {
+      if (changes.activeHours) {
+        const { start, end, timezone } = changes.activeHours;
+        heartbeat.activeHours = timezone ? { start, end, timezone: timezone.trim() } : { start, end };
+      } else {
+        delete heartbeat.activeHours;
+      }
+    }
+    entry.heartbeat = heartbeat;
+  });
+}
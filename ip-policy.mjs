@@ -0,0 +1,78 @@
+/**
+ * Ven Agents — Network Policy
+ *
+ * CIDR allow/deny lists checked before authentication. Browser sessions and
+ * API tokens get separate rule sets, so the UI can stay LAN-only while e.g.
+ * a CI runner on another subnet still reaches the API with a token.
+ *
+ * Configured under "network" in clawd-control.config.json:
+ *   { "allow": [...], "deny": [...],              ← defaults for both
+ *     "sessions":  { "allow": [...], "deny": [...] },
+ *     "apiTokens": { "allow": [...], "deny": [...] } }
+ *
+ * Deny wins over allow; an empty allowlist allows everything not denied.
+ */
+
+import { BlockList, isIPv4, isIPv6 } from 'net';
+
+// ::ffff:192.168.1.5 → 192.168.1.5 so IPv4 rules match dual-stack sockets
+function normalizeIp(ip) {
+  const s = String(ip || '');
+  const mapped = s.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : s;
+}
+
+function ipType(ip) {
+  return isIPv4(ip) ? 'ipv4' : isIPv6(ip) ? 'ipv6' : null;
+}
+
+function buildList(rules, label) {
+  if (!Array.isArray(rules)) throw new Error(`${label} must be an array of CIDR strings`);
+  const list = new BlockList();
+  for (const rule of rules) {
+    const [addr, bits] = String(rule).split('/');
+    const ip = normalizeIp(addr);
+    const type = ipType(ip);
+    if (!type) throw new Error(`${label}: invalid address "${rule}"`);
+    const max = type === 'ipv4' ? 32 : 128;
+    const prefix = bits === undefined ? max : Number(bits);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > max) throw new Error(`${label}: invalid prefix in "${rule}"`);
+    list.addSubnet(ip, prefix, type);
+  }
+  return list;
+}
+
+// Throws on malformed rules so a typo can't silently open the dashboard
+export function compileNetworkPolicy(cfg = {}) {
+  const compile = (name) => {
+    const own = cfg[name] || {};
+    const allow = own.allow ?? cfg.allow ?? [];
+    const deny = own.deny ?? cfg.deny ?? [];
+    return {
+      allow,
+      deny,
+      allowList: buildList(allow, `network.${name}.allow`),
+      denyList: buildList(deny, `network.${name}.deny`),
+    };
+  };
+  return { sessions: compile('sessions'), apiTokens: compile('apiTokens') };
+}
+
+// Returns null when the address may proceed, otherwise the reason
+export function checkIp(rules, rawIp) {
+  const ip = normalizeIp(rawIp);
+  const type = ipType(ip);
+  if (!type) return 'Unrecognised client address';
+  if (rules.deny.length && rules.denyList.check(ip, type)) return 'Denied by network policy';
+  if (rules.allow.length && !rules.allowList.check(ip, type)) return 'Not in network allowlist';
+  return null;
+}
+
+export function describePolicy(policy) {
+  const plain = ({ allow, deny }) => ({ allow, deny });
+  return { sessions: plain(policy.sessions), apiTokens: plain(policy.apiTokens) };
+}
+
+export function isLoopbackBind(bind) {
+  return bind === 'localhost' || bind === '::1' || /^127\./.test(bind);
+}
@@ -16,6 +16,7 @@
 
   const agentState = (window.agentState = window.agentState || {});
   window.hostState = window.hostState || {};
+  window.currentUser = window.currentUser || null;
   let evtSource = null;
 
   // ════════════════════════════════════════════════════
@@ -38,13 +39,29 @@
                 ? 'traces'
                 : path === '/crons.html'
                   ? 'crons'
-                  : path === '/security-audit.html'
-                    ? 'security-audit'
-                    : path.startsWith('/agent/')
-                      ? 'agent-detail'
-                      : path === '/gandalf-view.html'
-                        ? 'gandalf'
-                        : 'other';
+                  : path === '/memory.html'
+                    ? 'memory'
+                    : path === '/skills.html'
+                      ? 'skills'
+                      : path === '/tasks.html'
+                        ? 'tasks'
+                        : path === '/security-audit.html'
+                          ? 'security-audit'
+                          : path === '/users.html'
+                            ? 'users'
+                            : path === '/audit.html'
+                              ? 'audit'
+                              : path === '/config.html'
+                                ? 'config'
+                                : path === '/gateway-config.html'
+                                  ? 'gateway-config'
+                                  : path === '/account.html'
+                                    ? 'account'
+                                    : path.startsWith('/agent/')
+                                      ? 'agent-detail'
+                                      : path === '/gandalf-view.html'
+                                        ? 'gandalf'
+                                        : 'other';
   const activeAgentId =
     activePage === 'agent-detail'
       ? decodeURIComponent(path.split('/').filter(Boolean).pop())
@@ -383,6 +400,12 @@ body.sidebar-collapsed .topbar { grid-column: 1 / -1; }
   *, *::before, *::after { animation-duration: 0.01ms !important; transition-duration: 0.01ms !important; }
 }
 
+/* ── Role Gating ───────────────────────── */
+/* body[data-role] is set from /api/me; server enforces the same rules */
+
+body[data-role="viewer"] .requires-operator,
+body:not([data-role="admin"]) .requires-admin { display: none !important; }
+
 /* ── Lucide Icons (base) ───────────────── */
 
 [data-lucide] {
@@ -442,6 +465,9 @@ body.sidebar-collapsed .topbar { grid-column: 1 / -1; }
     // Start SSE
     connectSSE();
 
+    // Who am I (role drives which controls are shown)
+    userLoaded = loadCurrentUser();
+
     // Start clock
     updateClock();
     setInterval(updateClock, 30000);
@@ -489,16 +515,48 @@ body.sidebar-collapsed .topbar { grid-column: 1 / -1; }
         <i data-lucide="clock" class="nav-icon"></i>
         <span class="nav-label">Cron Jobs</span>
       </a>
-      <a href="/security-audit.html" class="nav-item${isActive('security-audit')}">
+      <a href="/memory.html" class="nav-item${isActive('memory')}">
+        <i data-lucide="search" class="nav-icon"></i>
+        <span class="nav-label">Memory Search</span>
+      </a>
+      <a href="/skills.html" class="nav-item${isActive('skills')}">
+        <i data-lucide="puzzle" class="nav-icon"></i>
+        <span class="nav-label">Skills</span>
+      </a>
+      <a href="/tasks.html" class="nav-item${isActive('tasks')}">
+        <i data-lucide="kanban" class="nav-icon"></i>
+        <span class="nav-label">Tasks</span>
+      </a>
+      <a href="/security-audit.html" class="nav-item requires-admin${isActive('security-audit')}">
         <i data-lucide="shield" class="nav-icon"></i>
         <span class="nav-label">Security Audit</span>
       </a>
+      <a href="/audit.html" class="nav-item requires-admin${isActive('audit')}">
+        <i data-lucide="scroll-text" class="nav-icon"></i>
+        <span class="nav-label">Audit Log</span>
+      </a>
+      <a href="/config.html" class="nav-item requires-admin${isActive('config')}">
+        <i data-lucide="settings" class="nav-icon"></i>
+        <span class="nav-label">Server Config</span>
+      </a>
+      <a href="/gateway-config.html" class="nav-item requires-admin${isActive('gateway-config')}">
+        <i data-lucide="file-cog" class="nav-icon"></i>
+        <span class="nav-label">Gateway Config</span>
+      </a>
 
       <div class="sidebar-section">Actions</div>
-      <a href="/create.html" class="nav-item${isActive('create')}">
+      <a href="/create.html" class="nav-item requires-admin${isActive('create')}">
         <i data-lucide="plus" class="nav-icon"></i>
         <span class="nav-label">New Agent</span>
       </a>
+      <a href="/users.html" class="nav-item requires-admin${isActive('users')}">
+        <i data-lucide="users" class="nav-icon"></i>
+        <span class="nav-label">Users</span>
+      </a>
+      <a href="/account.html" class="nav-item${isActive('account')}">
+        <i data-lucide="user-cog" class="nav-icon"></i>
+        <span class="nav-label" id="navAccountLabel">Account</span>
+      </a>
       <div class="nav-item" onclick="window._layoutLogout()">
         <i data-lucide="log-out" class="nav-icon"></i>
         <span class="nav-label">Logout</span>
@@ -666,10 +724,13 @@ body.sidebar-collapsed .topbar { grid-column: 1 / -1; }
       });
       if (stale && level === 'healthy') level = 'degraded';
     } else {
-      checks.push({ name: 'Heartbeat', s: 'off', d: 'Disabled' });
+      checks.push({ name: 'Heartbeat', s: 'off', d: a.paused ? 'Paused' : 'Disabled' });
       if (level === 'healthy') level = 'idle';
     }
 
+    // Paused from the dashboard — quiet on purpose, so not idle/degraded
+    if (a.paused && level !== 'down') level = 'paused';
+
     // Sessions
     const sessions = _extractSessionsBasic(a);
     const recent = sessions.filter((s) => s.ageMs < 3600000);
@@ -781,6 +842,48 @@ body.sidebar-collapsed .topbar { grid-column: 1 / -1; }
     );
   };
 
+  // ════════════════════════════════════════════════════
+  // CURRENT USER
+  // ════════════════════════════════════════════════════
+
+  async function loadCurrentUser() {
+    try {
+      const res = await fetch('/api/me');
+      if (!res.ok) return;
+      window.currentUser = await res.json();
+      document.body.dataset.role = window.currentUser.role;
+      const label = document.getElementById('navAccountLabel');
+      if (label) label.textContent = window.currentUser.username;
+      document.dispatchEvent(new CustomEvent('layout:user'));
+    } catch (err) {
+      /* ignore — controls stay in their default state */
+    }
+  }
+
+  // ════════════════════════════════════════════════════
+  // CSRF
+  // ════════════════════════════════════════════════════
+
+  // Same-origin POST/DELETE requests carry the session's CSRF token
+  let userLoaded = null;
+  const nativeFetch = window.fetch.bind(window);
+  window.fetch = async function (input, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const target = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+    if (method !== 'GET' && method !== 'HEAD' && target.origin === window.location.origin) {
+      if (!window.currentUser?.csrfToken && userLoaded) await userLoaded;
+      const headers = new Headers(init.headers || {});
+      if (window.currentUser?.csrfToken) headers.set('X-CSRF-Token', window.currentUser.csrfToken);
+      init = { ...init, headers };
+    }
+    return nativeFetch(input, init);
+  };
+
+  window.userHasRole = function (role) {
+    const roles = window.currentUser?.roles || ['viewer', 'operator', 'admin'];
+    return roles.indexOf(window.currentUser?.role) >= roles.indexOf(role);
+  };
+
   // ════════════════════════════════════════════════════
   // LOGOUT
   // ════════════════════════════════════════════════════
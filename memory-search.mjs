@@ -0,0 +1,232 @@
+/**
+ * Ven Agents — Memory Search
+ *
+ * Full-text index over every agent's workspace markdown: MEMORY.md and the
+ * other top-level *.md files, plus everything under memory/ (daily notes
+ * and topic files). Kept in memory; refresh() re-stats the files and only
+ * re-reads the ones whose mtime or size changed, so it's cheap to call
+ * before each search.
+ *
+ * Ranking is BM25 over words, with a boost when the file name matches.
+ * "Quoted phrases" must appear verbatim (case-insensitive).
+ */
+
+import { readFileSync, existsSync, readdirSync, statSync } from 'fs';
+import { join, basename } from 'path';
+
+const MAX_FILE_BYTES = 512 * 1024;
+const MAX_DEPTH = 3;              // memory/a/b/c.md
+const SNIPPET_CHARS = 240;
+const K1 = 1.2;
+const B = 0.75;
+const NAME_BOOST = 1.5;
+const SNIPPET_MATCHES = 200;      // matches considered when placing a snippet
+
+const WORD_RE = /[\p{L}\p{N}_]+/gu;
+const DATE_RE = /(\d{4}-\d{2}-\d{2})/;
+
+function tokenize(text) {
+  return (text.toLowerCase().match(WORD_RE) || []).filter(t => t.length > 1 || /\d/.test(t));
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word (or whole-phrase) matcher for highlighting and snippets
+function termPattern(terms) {
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(${terms.map(escapeRegex).join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+function localDate(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Workspace-relative paths of the markdown we index
+function markdownFiles(workspace) {
+  const files = [];
+  const walk = (dir, rel, depth) => {
+    let entries;
+    try { entries = readdirSync(dir, { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      if (e.name.startsWith('.')) continue;
+      const path = rel ? `${rel}/${e.name}` : e.name;
+      if (e.isFile() && e.name.endsWith('.md')) files.push(path);
+      else if (e.isDirectory() && depth < MAX_DEPTH) walk(join(dir, e.name), path, depth + 1);
+    }
+  };
+  try {
+    for (const e of readdirSync(workspace, { withFileTypes: true })) {
+      if (e.isFile() && e.name.endsWith('.md') && !e.name.startsWith('.')) files.push(e.name);
+    }
+  } catch { return files; }
+  walk(join(workspace, 'memory'), 'memory', 1);
+  return files;
+}
+
+// memory (MEMORY.md) | daily (memory/…YYYY-MM-DD…) | note (rest of memory/) | workspace
+function fileKind(path) {
+  if (path === 'MEMORY.md') return 'memory';
+  if (path.startsWith('memory/')) return DATE_RE.test(basename(path)) ? 'daily' : 'note';
+  return 'workspace';
+}
+
+export class MemoryIndex {
+  constructor() {
+    this.docs = new Map();       // "agentId:path" → { agentId, path, kind, date, mtime, size, content, length }
+    this.postings = new Map();   // term → Map(docKey → term frequency)
+    this.totalLength = 0;
+    this.refreshedAt = 0;
+  }
+
+  _remove(key) {
+    const doc = this.docs.get(key);
+    if (!doc) return;
+    for (const term of doc.terms) {
+      const list = this.postings.get(term);
+      list.delete(key);
+      if (!list.size) this.postings.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(key);
+  }
+
+  _add(key, doc) {
+    const counts = new Map();
+    for (const t of tokenize(doc.content)) counts.set(t, (counts.get(t) || 0) + 1);
+    for (const [term, tf] of counts) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(key, tf);
+    }
+    doc.terms = [...counts.keys()];
+    doc.length = [...counts.values()].reduce((a, b) => a + b, 0);
+    doc.nameTerms = new Set(tokenize(basename(doc.path, '.md')));
+    this.totalLength += doc.length;
+    this.docs.set(key, doc);
+  }
+
+  // Brings the index in line with the files on disk. agents: [{ id, workspace }].
+  // Returns how many files were (re)indexed and removed.
+  refresh(agents) {
+    const seen = new Set();
+    let indexed = 0, removed = 0;
+    for (const { id, workspace } of agents) {
+      if (!workspace || !existsSync(workspace)) continue;
+      for (const path of markdownFiles(workspace)) {
+        const key = `${id}:${path}`;
+        let st;
+        try { st = statSync(join(workspace, path)); } catch { continue; }
+        if (st.size > MAX_FILE_BYTES) continue;
+        seen.add(key);
+        const old = this.docs.get(key);
+        if (old && old.mtime === st.mtimeMs && old.size === st.size) continue;
+        let content;
+        try { content = readFileSync(join(workspace, path), 'utf8'); } catch { continue; }
+        this._remove(key);
+        this._add(key, {
+          agentId: id,
+          path,
+          kind: fileKind(path),
+          date: basename(path).match(DATE_RE)?.[1] || localDate(st.mtimeMs),
+          mtime: st.mtimeMs,
+          size: st.size,
+          content,
+        });
+        indexed++;
+      }
+    }
+    for (const key of [...this.docs.keys()]) {
+      if (!seen.has(key)) { this._remove(key); removed++; }
+    }
+    this.refreshedAt = Date.now();
+    return { indexed, removed };
+  }
+
+  stats() {
+    return { files: this.docs.size, agents: new Set([...this.docs.values()].map(d => d.agentId)).size, refreshedAt: this.refreshedAt };
+  }
+
+  // query: words and "quoted phrases", all required. Filters: agents (ids),
+  // from / to (YYYY-MM-DD, inclusive). Returns { total, results } with
+  // results [{ agentId, path, kind, date, mtime, score, snippet, highlights }].
+  search(query, { agents, from, to, limit = 50, offset = 0 } = {}) {
+    const phrases = [...String(query).matchAll(/"([^"]+)"/g)].map(m => m[1].trim().toLowerCase()).filter(Boolean);
+    const words = [...new Set(tokenize(String(query).replace(/"[^"]*"/g, ' ')))];
+    const phraseWords = [...new Set(phrases.flatMap(tokenize))];
+    const required = [...new Set([...words, ...phraseWords])];
+    if (!required.length) return { total: 0, results: [] };
+
+    // Candidates: docs containing every word, rarest posting list first
+    const lists = required.map(t => this.postings.get(t) || new Map()).sort((a, b) => a.size - b.size);
+    let candidates = [...lists[0].keys()];
+    for (const list of lists.slice(1)) candidates = candidates.filter(k => list.has(k));
+
+    const agentSet = agents?.length ? new Set(agents) : null;
+    const n = this.docs.size;
+    const avgLength = n ? this.totalLength / n : 1;
+    const scored = [];
+    for (const key of candidates) {
+      const doc = this.docs.get(key);
+      if (agentSet && !agentSet.has(doc.agentId)) continue;
+      if (from && doc.date < from) continue;
+      if (to && doc.date > to) continue;
+      if (phrases.length) {
+        const lower = doc.content.toLowerCase();
+        if (!phrases.every(p => lower.includes(p))) continue;
+      }
+      let score = 0;
+      for (const term of required) {
+        const list = this.postings.get(term);
+        const tf = list.get(key);
+        const idf = Math.log(1 + (n - list.size + 0.5) / (list.size + 0.5));
+        const weight = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+        score += doc.nameTerms.has(term) ? weight * NAME_BOOST : weight;
+      }
+      scored.push({ doc, score });
+    }
+    scored.sort((a, b) => b.score - a.score || b.doc.mtime - a.doc.mtime);
+
+    const pattern = termPattern([...phrases, ...words]);
+    return {
+      total: scored.length,
+      results: scored.slice(offset, offset + limit).map(({ doc, score }) => ({
+        agentId: doc.agentId,
+        path: doc.path,
+        kind: doc.kind,
+        date: doc.date,
+        mtime: doc.mtime,
+        score: Math.round(score * 100) / 100,
+        ...snippet(doc.content, pattern),
+      })),
+    };
+  }
+}
+
+// The SNIPPET_CHARS window with the most distinct matches, whitespace
+// collapsed. highlights are [start, end) offsets into snippet.
+function snippet(content, pattern) {
+  const matches = [];
+  for (const m of content.matchAll(pattern)) {
+    matches.push({ at: m.index, term: m[0].toLowerCase() });
+    if (matches.length >= SNIPPET_MATCHES) break;
+  }
+  let start = 0;
+  if (matches.length) {
+    let best = -1;
+    for (const m of matches) {
+      const from = Math.max(0, m.at - 40);
+      const distinct = new Set(matches.filter(x => x.at >= from && x.at < from + SNIPPET_CHARS).map(x => x.term)).size;
+      if (distinct > best) { best = distinct; start = from; }
+    }
+  }
+  // Don't cut a word in half at the start
+  if (start > 0) {
+    const space = content.slice(start, start + 20).search(/\s/);
+    if (space >= 0) start += space + 1;
+  }
+  const end = Math.min(content.length, start + SNIPPET_CHARS);
+  const text = (start > 0 ? '…' : '') + content.slice(start, end).replace(/\s+/g, ' ').trim() + (end < content.length ? '…' : '');
+  const highlights = [...text.matchAll(pattern)].map(m => [m.index, m.index + m[0].length]);
+  return { snippet: text, highlights };
+}
@@ -0,0 +1,87 @@
+/**
+ * Ven Agents — Agent Models
+ *
+ * The model an agent runs on, as set in the gateway config. An entry in
+ * agents.list can name its own model, overriding agents.defaults.model:
+ *
+ *   agents.list[i].model: "anthropic/claude-sonnet-4-5"
+ *                       | { primary: "...", fallbacks: ["..."] }
+ *
+ * Also a small price table so the dashboard can estimate what a switch
+ * would cost at the agent's recent token volumes.
+ */
+
+import { agentList, agentEntryPatch } from './heartbeat.mjs';
+
+const MODEL_RE = /^[\w.-]+\/[\w.:@-]+$/;
+
+// USD per million tokens. Matched by substring, first hit wins, so more
+// specific ids come first. Cache reads bill at 0.1× input, writes at 1.25×.
+const PRICES = [
+  ['claude-opus-4-5', 5, 25],
+  ['claude-opus-4', 15, 75],
+  ['claude-sonnet-4', 3, 15],
+  ['claude-3-7-sonnet', 3, 15],
+  ['claude-3-5-sonnet', 3, 15],
+  ['claude-haiku-4-5', 1, 5],
+  ['claude-3-5-haiku', 0.8, 4],
+];
+
+function primaryOf(model) {
+  if (!model) return null;
+  return typeof model === 'string' ? model : model.primary || null;
+}
+
+// Effective model for one agent; source says where it comes from
+export function resolveModel(gwConfig, gatewayAgentId) {
+  const defaults = primaryOf(gwConfig?.agents?.defaults?.model);
+  const own = primaryOf(agentList(gwConfig).list.find(a => a.id === gatewayAgentId)?.model);
+  return { model: own || defaults, source: own ? 'agent' : 'defaults', defaults };
+}
+
+// Models worth offering: the gateway's model catalog (agents.defaults.models)
+// plus whatever the defaults and other agents already use
+export function modelOptions(gwConfig) {
+  const agents = gwConfig?.agents || {};
+  const ids = new Set(Object.keys(agents.defaults?.models || {}));
+  const defaults = primaryOf(agents.defaults?.model);
+  if (defaults) ids.add(defaults);
+  for (const a of agentList(gwConfig).list) {
+    const own = primaryOf(a.model);
+    if (own) ids.add(own);
+  }
+  return [...ids].filter(id => MODEL_RE.test(id)).sort();
+}
+
+export function validateModel(model) {
+  if (typeof model !== 'string' || !MODEL_RE.test(model)) return 'Model must look like provider/model-id, e.g. anthropic/claude-sonnet-4-5';
+  return null;
+}
+
+// config.patch body that sets this agent's primary model. An object-form
+// model keeps its fallbacks.
+export function modelPatch(gwConfig, gatewayAgentId, model) {
+  return agentEntryPatch(gwConfig, gatewayAgentId, (entry) => {
+    entry.model = entry.model && typeof entry.model === 'object' ? { ...entry.model, primary: model } : model;
+  });
+}
+
+// { input, output } per million tokens, or null for an unknown model
+export function modelPrice(model) {
+  const id = String(model || '').split('/').pop();
+  const hit = PRICES.find(([key]) => id.includes(key));
+  return hit ? { input: hit[1], output: hit[2] } : null;
+}
+
+// Cost of a token volume ({ inputTokens, outputTokens, cacheReadTokens,
+// cacheWriteTokens }) at a model's list price, or null if unpriced
+export function estimateCost(usage, model) {
+  const price = modelPrice(model);
+  if (!price) return null;
+  const perToken = price.input / 1e6;
+  const cost = (usage.inputTokens || 0) * perToken
+    + (usage.outputTokens || 0) * price.output / 1e6
+    + (usage.cacheReadTokens || 0) * perToken * 0.1
+    + (usage.cacheWriteTokens || 0) * perToken * 1.25;
+  return Math.round(cost * 100) / 100;
+}
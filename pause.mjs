@@ -0,0 +1,104 @@
+/**
+ * Ven Agents — Agent Pause
+ *
+ * Pausing an agent removes its channel bindings from the gateway config and
+ * turns its heartbeat off, so it stops answering and stops waking itself.
+ * What was removed is kept in agent-pauses.json (with who paused it and
+ * why) and put back on resume.
+ *
+ * An agent that handles a channel as the gateway's default agent, without a
+ * binding, keeps receiving those messages — there is nothing to remove.
+ */
+
+import { readFileSync, existsSync, writeFileSync } from 'fs';
+import { agentList, heartbeatPatch } from './heartbeat.mjs';
+
+const REASON_MAX = 200;
+
+export class PauseStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.pauses = {};   // agentId → { pausedBy, pausedAt, reason, saved: { heartbeat, bindings } }
+    this.load();
+  }
+
+  load() {
+    if (!existsSync(this.filePath)) return;
+    try {
+      this.pauses = JSON.parse(readFileSync(this.filePath, 'utf8')).pauses || {};
+    } catch (e) {
+      console.warn(`⚠️  Failed to load agent pauses: ${e.message}`);
+    }
+  }
+
+  save() {
+    try {
+      writeFileSync(this.filePath, JSON.stringify({ pauses: this.pauses }, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (e) {
+      console.error(`[pause] Failed to save: ${e.message}`);
+    }
+  }
+
+  get(agentId) {
+    return this.pauses[agentId] || null;
+  }
+
+  add(agentId, { pausedBy, reason, saved }) {
+    this.pauses[agentId] = {
+      pausedBy: pausedBy || null,
+      pausedAt: Date.now(),
+      reason: String(reason || '').trim().slice(0, REASON_MAX) || null,
+      saved,
+    };
+    this.save();
+    return this.pauses[agentId];
+  }
+
+  remove(agentId) {
+    delete this.pauses[agentId];
+    this.save();
+  }
+}
+
+// What the dashboard shows for a pause (the saved config stays server-side)
+export function describePause(pause) {
+  if (!pause) return null;
+  return { by: pause.pausedBy, at: pause.pausedAt, reason: pause.reason, bindings: pause.saved.bindings.length };
+}
+
+// Returns { patch, saved }: a config.patch body that drops the agent's
+// bindings and sets its heartbeat to "off", plus what to restore later.
+export function pausePatch(gwConfig, gatewayAgentId) {
+  const entry = agentList(gwConfig).list.find(a => a.id === gatewayAgentId);
+  const bindings = Array.isArray(gwConfig?.bindings) ? gwConfig.bindings : [];
+  const saved = {
+    heartbeat: entry?.heartbeat ? structuredClone(entry.heartbeat) : null,
+    bindings: bindings.filter(b => b.agentId === gatewayAgentId),
+  };
+  const patch = heartbeatPatch(gwConfig, gatewayAgentId, { every: 'off' });
+  // Arrays are replaced wholesale by merge-patch, so send the rest back
+  if (saved.bindings.length) patch.bindings = bindings.filter(b => b.agentId !== gatewayAgentId);
+  return { patch, saved };
+}
+
+// config.patch body that puts back the heartbeat block and bindings saved
+// by pausePatch. Bindings re-added while paused aren't duplicated.
+export function resumePatch(gwConfig, gatewayAgentId, saved) {
+  const { key, list } = agentList(gwConfig);
+  const next = list.map(a => ({ ...a }));
+  const entry = next.find(a => a.id === gatewayAgentId);
+  if (!entry && next.length) throw new Error(`Agent "${gatewayAgentId}" is not in the gateway's agent list`);
+  const patch = {};
+  if (entry) {
+    if (saved.heartbeat) entry.heartbeat = saved.heartbeat;
+    else delete entry.heartbeat;
+    patch.agents = { [key]: next };
+  }
+
+  if (saved.bindings.length) {
+    const bindings = Array.isArray(gwConfig?.bindings) ? gwConfig.bindings : [];
+    const present = new Set(bindings.map(b => JSON.stringify(b)));
+    patch.bindings = [...bindings, ...saved.bindings.filter(b => !present.has(JSON.stringify(b)))];
+  }
+  return patch;
+}
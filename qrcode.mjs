@@ -0,0 +1,272 @@
+/**
+ * Ven Agents — QR Code
+ *
+ * Minimal QR encoder (byte mode, ECC level M, versions 1–10) that renders
+ * to SVG. Enough for otpauth:// enrollment URIs without a CDN or npm
+ * dependency, so 2FA setup works on an offline host.
+ */
+
+// Per version (index 0 = version 1): [ecCodewordsPerBlock, [blockCount, dataCodewords], ...]
+const ECC_M = [
+  [10, [1, 16]],
+  [16, [1, 28]],
+  [26, [1, 44]],
+  [18, [2, 32]],
+  [24, [2, 43]],
+  [16, [4, 27]],
+  [18, [4, 31]],
+  [22, [2, 38], [2, 39]],
+  [22, [3, 36], [2, 37]],
+  [26, [4, 43], [1, 44]],
+];
+
+const ALIGNMENT = [
+  [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+  [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50],
+];
+
+const ECC_M_BITS = 0b00;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+// ── Reed–Solomon over GF(256), polynomial 0x11D ──
+
+function gfMul(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMul(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return result;
+}
+
+export function rsRemainder(data, degree) {
+  const divisor = rsDivisor(degree);
+  const result = new Array(degree).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    for (let i = 0; i < degree; i++) result[i] ^= gfMul(divisor[i], factor);
+  }
+  return result;
+}
+
+// ── Data encoding ──
+
+function dataCapacity(version) {
+  const [, ...groups] = ECC_M[version - 1];
+  return groups.reduce((sum, [count, size]) => sum + count * size, 0);
+}
+
+function encodeData(bytes, version) {
+  const capacity = dataCapacity(version);
+  const bits = [];
+  const push = (value, len) => { for (let i = len - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+
+  push(0b0100, 4);                                  // byte mode
+  push(bytes.length, version < 10 ? 8 : 16);
+  for (const b of bytes) push(b, 8);
+  push(0, Math.min(4, capacity * 8 - bits.length)); // terminator
+  while (bits.length % 8) bits.push(0);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((v, bit) => (v << 1) | bit, 0));
+  }
+  for (let pad = 0xEC; codewords.length < capacity; pad ^= 0xEC ^ 0x11) codewords.push(pad);
+  return codewords;
+}
+
+// Split into blocks, append ECC, interleave
+function addEcc(data, version) {
+  const [ecLen, ...groups] = ECC_M[version - 1];
+  const blocks = [];
+  let offset = 0;
+  for (const [count, size] of groups) {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data: block, ecc: rsRemainder(block, ecLen) });
+    }
+  }
+  const out = [];
+  const maxData = Math.max(...blocks.map(b => b.data.length));
+  for (let i = 0; i < maxData; i++) {
+    for (const b of blocks) if (i < b.data.length) out.push(b.data[i]);
+  }
+  for (let i = 0; i < ecLen; i++) {
+    for (const b of blocks) out.push(b.ecc[i]);
+  }
+  return out;
+}
+
+// ── Matrix ──
+
+function buildMatrix(version, codewords, mask) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => { modules[y][x] = dark; reserved[y][x] = true; };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns + separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx, y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  // Alignment patterns (skipping the three that overlap finders)
+  const align = ALIGNMENT[version - 1];
+  const last = align.length - 1;
+  align.forEach((cy, i) => align.forEach((cx, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  // Format bits (BCH(15,5), masked with 0x5412)
+  const fmtData = (ECC_M_BITS << 3) | mask;
+  let rem = fmtData;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const fmt = ((fmtData << 10) | rem) ^ 0x5412;
+  const bit = (v, i) => ((v >>> i) & 1) === 1;
+  for (let i = 0; i <= 5; i++) set(8, i, bit(fmt, i));
+  set(8, 7, bit(fmt, 6));
+  set(8, 8, bit(fmt, 7));
+  set(7, 8, bit(fmt, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(fmt, i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(fmt, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(fmt, i));
+  set(8, size - 8, true);                           // dark module
+
+  // Version bits (BCH(18,6)) for version 7+
+  if (version >= 7) {
+    let vrem = version;
+    for (let i = 0; i < 12; i++) vrem = (vrem << 1) ^ ((vrem >>> 11) * 0x1F25);
+    const ver = (version << 12) | vrem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3), b = Math.floor(i / 3);
+      set(a, b, bit(ver, i));
+      set(b, a, bit(ver, i));
+    }
+  }
+
+  // Data, zig-zagging up and down column pairs from the bottom right
+  const total = codewords.length * 8;
+  let n = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let v = 0; v < size; v++) {
+      const y = upward ? size - 1 - v : v;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (reserved[y][x]) continue;
+        const dark = n < total && ((codewords[n >>> 3] >>> (7 - (n & 7))) & 1) === 1;
+        n++;
+        modules[y][x] = dark !== MASKS[mask](x, y);
+      }
+    }
+  }
+
+  return modules;
+}
+
+// Standard penalty rules N1–N4; lower is easier to scan
+function penalty(modules) {
+  const size = modules.length;
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) { run++; continue; }
+      if (run >= 5) score += run - 2;
+      run = 1;
+    }
+    const s = line.map(d => (d ? '1' : '0')).join('');
+    for (const pat of ['10111010000', '00001011101']) {
+      for (let i = s.indexOf(pat); i !== -1; i = s.indexOf(pat, i + 1)) score += 40;
+    }
+  }
+
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = modules[y][x];
+      if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+    }
+  }
+
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  score += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+  return score;
+}
+
+// Returns a boolean matrix (true = dark)
+export function encodeQr(text) {
+  const bytes = Buffer.from(String(text), 'utf8');
+  let version = 1;
+  // 4 mode bits + 8/16 length bits must fit alongside the data
+  while (version <= ECC_M.length && dataCapacity(version) * 8 < 4 + (version < 10 ? 8 : 16) + bytes.length * 8) version++;
+  if (version > ECC_M.length) throw new Error('Text too long for QR code');
+
+  const codewords = addEcc(encodeData(bytes, version), version);
+  let best = null, bestScore = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    const modules = buildMatrix(version, codewords, mask);
+    const score = penalty(modules);
+    if (score < bestScore) { best = modules; bestScore = score; }
+  }
+  return best;
+}
+
+export function qrSvg(text, { quiet = 4 } = {}) {
+  const modules = encodeQr(text);
+  const dim = modules.length + quiet * 2;
+  let path = '';
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path += `M${x + quiet} ${y + quiet}h1v1h-1z`;
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" shape-rendering="crispEdges">` +
+    `<rect width="${dim}" height="${dim}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
@@ -0,0 +1,62 @@
+const fs = require('fs');
+
+const MAX_LOG_SIZE = 5 * 1024 * 1024; // 5MB
+
+function auditLog(config, ip, endpoint, action, detail = '', user = null) {
+  const entry = JSON.stringify({
+    ts: new Date().toISOString(),
+    ip,
+    endpoint,
+    action,
+    detail,
+    ...(user ? { user } : {}),
+  }) + '\n';
+
+  try {
+    if (fs.existsSync(config.auditLog)) {
+      const stat = fs.statSync(config.auditLog);
+      if (stat.size > MAX_LOG_SIZE) {
+        const archivePath = config.auditLog.replace('.log', `.${Date.now()}.log`);
+        fs.renameSync(config.auditLog, archivePath);
+      }
+    }
+    fs.appendFileSync(config.auditLog, entry);
+  } catch (e) {
+    console.error(`[audit] Failed to write log: ${e.message}`);
+  }
+}
+
+// Newest-first page of the current log file (rotated archives are not read)
+function readAuditLog(config, { page = 1, pageSize = 50, action, user, q } = {}) {
+  let entries = [];
+  try {
+    if (fs.existsSync(config.auditLog)) {
+      entries = fs.readFileSync(config.auditLog, 'utf8').split('\n')
+        .filter(l => l.trim())
+        .map(l => { try { return JSON.parse(l); } catch { return null; } })
+        .filter(Boolean);
+    }
+  } catch (e) {
+    console.error(`[audit] Failed to read log: ${e.message}`);
+  }
+
+  const actions = [...new Set(entries.map(e => e.action))].sort();
+  const needle = q ? String(q).toLowerCase() : null;
+  const filtered = entries.filter(e =>
+    (!action || e.action === action) &&
+    (!user || e.user === user) &&
+    (!needle || [e.ip, e.endpoint, e.detail, e.user].some(v => String(v || '').toLowerCase().includes(needle)))
+  ).reverse();
+
+  const pages = Math.max(1, Math.ceil(filtered.length / pageSize));
+  const current = Math.min(Math.max(1, page), pages);
+  return {
+    entries: filtered.slice((current - 1) * pageSize, current * pageSize),
+    total: filtered.length,
+    page: current,
+    pages,
+    actions,
+  };
+}
+
+module.exports = { auditLog, readAuditLog, MAX_LOG_SIZE };
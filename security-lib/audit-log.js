@@ -2,13 +2,14 @@ const fs = require('fs');
 
 const MAX_LOG_SIZE = 5 * 1024 * 1024; // 5MB
 
-function auditLog(config, ip, endpoint, action, detail = '') {
+function auditLog(config, ip, endpoint, action, detail = '', user = null) {
   const entry = JSON.stringify({
     ts: new Date().toISOString(),
     ip,
     endpoint,
     action,
     detail,
+    ...(user ? { user } : {}),
   }) + '\n';
 
   try {
@@ -25,4 +26,37 @@ function auditLog(config, ip, endpoint, action, detail = '') {
   }
 }
 
-module.exports = { auditLog, MAX_LOG_SIZE };
+// Newest-first page of the current log file (rotated archives are not read)
+function readAuditLog(config, { page = 1, pageSize = 50, action, user, q } = {}) {
+  let entries = [];
+  try {
+    if (fs.existsSync(config.auditLog)) {
+      entries = fs.readFileSync(config.auditLog, 'utf8').split('\n')
+        .filter(l => l.trim())
+        .map(l => { try { return JSON.parse(l); } catch { return null; } })
+        .filter(Boolean);
+    }
+  } catch (e) {
+    console.error(`[audit] Failed to read log: ${e.message}`);
+  }
+
+  const actions = [...new Set(entries.map(e => e.action))].sort();
+  const needle = q ? String(q).toLowerCase() : null;
+  const filtered = entries.filter(e =>
+    (!action || e.action === action) &&
+    (!user || e.user === user) &&
+    (!needle || [e.ip, e.endpoint, e.detail, e.user].some(v => String(v || '').toLowerCase().includes(needle)))
+  ).reverse();
+
+  const pages = Math.max(1, Math.ceil(filtered.length / pageSize));
+  const current = Math.min(Math.max(1, page), pages);
+  return {
+    entries: filtered.slice((current - 1) * pageSize, current * pageSize),
+    total: filtered.length,
+    page: current,
+    pages,
+    actions,
+  };
+}
+
+module.exports = { auditLog, readAuditLog, MAX_LOG_SIZE };
@@ -55,17 +55,16 @@ function rotateToken(config, auditLog) {
   return newToken;
 }
 
-function isTokenValid(config, candidateToken) {
-  const state = loadTokenState(config);
-  if (!state.token) return { valid: false, reason: 'no_token_configured' };
-
+// Shared current/previous check for any rotating secret with the same
+// shape as the dashboard token state ({ token, created, previousToken, previousExpires })
+function matchRotatingToken(state, candidateToken, maxAgeMs = TOKEN_MAX_AGE_MS) {
   const now = Date.now();
 
   // Check current token
   if (candidateToken === state.token) {
     // Check expiry
-    if (state.created && (now - state.created) > TOKEN_MAX_AGE_MS) {
-      return { valid: false, reason: 'token_expired', hint: 'Token has expired. Rotate with: curl -X POST localhost:' + config.port + '/api/rotate -H "Authorization: Bearer <current-token>"' };
+    if (maxAgeMs && state.created && (now - state.created) > maxAgeMs) {
+      return { valid: false, reason: 'token_expired' };
     }
     return { valid: true };
   }
@@ -81,6 +80,17 @@ function isTokenValid(config, candidateToken) {
   return { valid: false, reason: 'invalid_token' };
 }
 
+function isTokenValid(config, candidateToken) {
+  const state = loadTokenState(config);
+  if (!state.token) return { valid: false, reason: 'no_token_configured' };
+
+  const result = matchRotatingToken(state, candidateToken);
+  if (result.reason === 'token_expired') {
+    result.hint = 'Token has expired. Rotate with: curl -X POST localhost:' + config.port + '/api/rotate -H "Authorization: Bearer <current-token>"';
+  }
+  return result;
+}
+
 function getTokenInfo(config) {
   const state = loadTokenState(config);
   if (!state.token || !state.created) return null;
@@ -134,6 +144,7 @@ module.exports = {
   loadTokenState,
   saveTokenState,
   rotateToken,
+  matchRotatingToken,
   isTokenValid,
   getTokenInfo,
   checkAuth,
@@ -31,6 +31,8 @@ function checkNetwork(config, getTokenInfo) {
     results.push({ name: 'Gateway binding', status: gwPort.includes('127.0.0.1') ? 'pass' : 'warn', detail: gwPort || 'Not running' });
   }
 
+  if (config.dashboard) results.push(checkDashboardExposure(config.dashboard));
+
   const ssh = run("lsof -iTCP:22 -sTCP:LISTEN -nP 2>/dev/null | head -2", '');
   results.push({ name: 'SSH daemon', status: ssh ? 'info' : 'pass', detail: ssh ? 'SSH is listening' : 'SSH not active' });
 
@@ -63,4 +65,25 @@ function checkNetwork(config, getTokenInfo) {
   return results;
 }
 
-module.exports = { checkNetwork };
+// Bind address + IP allow/deny lists → who can reach the dashboard at all
+function checkDashboardExposure({ bind, port, tls, loopback, policy }) {
+  const where = `${bind}:${port} (${tls ? 'HTTPS' : 'HTTP'})`;
+  if (loopback) {
+    return { name: 'Dashboard exposure', status: 'pass', detail: `${where} — loopback only` };
+  }
+  const describe = ({ allow, deny }) =>
+    (allow.length ? `allow ${allow.join(', ')}` : 'any address') + (deny.length ? `, deny ${deny.join(', ')}` : '');
+  const open = [];
+  if (!policy.sessions.allow.length) open.push('browser sessions');
+  if (!policy.apiTokens.allow.length) open.push('API tokens');
+  return {
+    name: 'Dashboard exposure',
+    status: open.length ? 'warn' : (tls ? 'pass' : 'info'),
+    detail: open.length
+      ? `${where} — no IP allowlist for ${open.join(' or ')}`
+      : `${where} — restricted by IP allowlist${tls ? '' : ', but traffic is unencrypted'}`,
+    extra: `Sessions: ${describe(policy.sessions)}\nAPI tokens: ${describe(policy.apiTokens)}`,
+  };
+}
+
+module.exports = { checkNetwork, checkDashboardExposure };
@@ -0,0 +1,79 @@
+const rateLimits = new Map();
+const RATE_WINDOW_MS = 60 * 1000;
+const MAX_REQUESTS = 30;
+const MAX_FAILED_AUTH = 5;
+const BLOCK_DURATION_MS = 5 * 60 * 1000;
+
+let lastPrune = 0;
+
+// Drop keys with nothing left in the window, at most once per window
+function pruneRateLimits(now) {
+  if (now - lastPrune < RATE_WINDOW_MS) return;
+  lastPrune = now;
+  for (const [key, state] of rateLimits) {
+    const blocked = state.blockedUntil && now < state.blockedUntil;
+    const recent = state.requests.some(t => now - t < RATE_WINDOW_MS) || state.failedAuth.some(t => now - t < RATE_WINDOW_MS);
+    if (!blocked && !recent) rateLimits.delete(key);
+  }
+}
+
+function getRateState(key) {
+  pruneRateLimits(Date.now());
+  if (!rateLimits.has(key)) {
+    rateLimits.set(key, { requests: [], failedAuth: [], blockedUntil: null });
+  }
+  return rateLimits.get(key);
+}
+
+function trackFailedAuth(req, getClientIP) {
+  const ip = getClientIP(req);
+  const state = getRateState(ip);
+  const now = Date.now();
+  state.failedAuth.push(now);
+  state.failedAuth = state.failedAuth.filter(t => now - t < RATE_WINDOW_MS);
+
+  if (state.failedAuth.length >= MAX_FAILED_AUTH) {
+    state.blockedUntil = now + BLOCK_DURATION_MS;
+  }
+}
+
+// Counts the request against `key` (the client IP by default) and allows
+// `max` per minute. An IP blocked for failed logins is refused either way.
+function checkRateLimit(req, res, getClientIP, auditLog, { key = null, max = MAX_REQUESTS } = {}) {
+  const ip = getClientIP(req);
+  const ipState = getRateState(ip);
+  const now = Date.now();
+
+  if (ipState.blockedUntil && now < ipState.blockedUntil) {
+    const retryAfter = Math.ceil((ipState.blockedUntil - now) / 1000);
+    auditLog(ip, req.url, 'rate_blocked', `Still blocked, retry in ${retryAfter}s`);
+    res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': String(retryAfter) });
+    res.end(JSON.stringify({ error: 'Too many requests.', retryAfterSeconds: retryAfter }));
+    return false;
+  }
+
+  if (ipState.blockedUntil && now >= ipState.blockedUntil) {
+    ipState.blockedUntil = null;
+    ipState.failedAuth = [];
+  }
+
+  const state = key ? getRateState(key) : ipState;
+  state.requests.push(now);
+  state.requests = state.requests.filter(t => now - t < RATE_WINDOW_MS);
+
+  if (state.requests.length > max) {
+    auditLog(ip, req.url, 'rate_exceeded', `${state.requests.length} requests in window${key ? ` for ${key}` : ''}`);
+    res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '60' });
+    res.end(JSON.stringify({ error: 'Rate limit exceeded', retryAfterSeconds: 60 }));
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  checkRateLimit,
+  trackFailedAuth,
+  MAX_REQUESTS,
+  BLOCK_DURATION_MS,
+};
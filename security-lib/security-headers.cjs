@@ -0,0 +1,18 @@
+// API-only default; HTML responses should pass a CSP that fits their scripts/styles
+const DEFAULT_CSP = "default-src 'none'; frame-ancestors 'none'";
+
+function setSecurityHeaders(res, { csp = DEFAULT_CSP } = {}) {
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Frame-Options', 'DENY');
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+  res.setHeader('X-Permitted-Cross-Domain-Policies', 'none');
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  if (csp) res.setHeader('Content-Security-Policy', csp);
+}
+
+module.exports = {
+  setSecurityHeaders,
+  DEFAULT_CSP,
+};
@@ -7,59 +7,105 @@
  */
 
 import http from 'http';
+import https from 'https';
 const { createServer } = http;
-import { readFileSync, existsSync, writeFileSync, copyFileSync, readdirSync, statSync } from 'fs';
+import { readFileSync, existsSync, writeFileSync, readdirSync, statSync, mkdirSync, renameSync, cpSync, rmSync } from 'fs';
 import { join, extname } from 'path';
 import { gzipSync } from 'zlib';
 import { execFileSync } from 'child_process';
+import { randomUUID } from 'crypto';
 import { AgentCollector } from './collector.mjs';
 import { createAgent } from './create-agent.mjs';
 import { discoverAgents } from './discover.mjs';
+import { SessionStore } from './sessions.mjs';
+import { ApiTokenStore, SCOPES, isApiToken, publicToken } from './api-tokens.mjs';
+import { generateSecret, otpauthUri, verifyTotp, generateRecoveryCodes, checkSecondFactor } from './totp.mjs';
+import { qrSvg } from './qrcode.mjs';
+import { loadTls, localNames } from './tls.mjs';
+import { compileNetworkPolicy, checkIp, describePolicy, isLoopbackBind } from './ip-policy.mjs';
+import { loadConfig, CONFIG_FILENAME } from './config.mjs';
+import { resolveHeartbeat, validateHeartbeat, heartbeatPatch, enableInterval, agentList } from './heartbeat.mjs';
+import { resolveModel, modelOptions, validateModel, modelPatch, estimateCost } from './model.mjs';
+import { maskSecrets, unmaskSecrets, mergePatchFor, diffJson, validateSection, gatewayBackupDir, saveBackup, listBackups, readBackup } from './gateway-config.mjs';
+import { PauseStore, describePause, pausePatch, resumePatch } from './pause.mjs';
+import { listArchives, archivePath, restoreArchive, purgeArchives } from './session-archive.mjs';
+import { ActionHistoryStore, publicEntry, undoPatch } from './action-history.mjs';
+import { isEditableFile, readWorkspaceFile, saveWorkspaceFile, fileVersionsDir, listVersions, readVersion } from './workspace-files.mjs';
+import { diffText } from './diff.mjs';
+import { MemoryIndex } from './memory-search.mjs';
+import { listDailyNotes, readDailyNote } from './daily-notes.mjs';
+import { parseTasks, applyBoard } from './tasks.mjs';
+import { listSkills, checkRequirements, compareVersions, installSkill, removeSkill, isSkillName, skillMatrix } from './skills.mjs';
+import { loadAuth, saveAuth, findUser, verifyPassword, setPassword, hasRole, publicUser, countAdmins, validateUser, ROLES } from './users.mjs';
 
-import { createHash, randomBytes, timingSafeEqual } from 'crypto';
-
-const PORT = parseInt(process.argv.find((_, i, a) => a[i - 1] === '--port') || '3100');
 const DIR = new URL('.', import.meta.url).pathname;
 
-// ── Auth ─────────────────────────────────────────────
-// Password stored in auth.json. On first run, generates a random one.
-const AUTH_PATH = join(DIR, 'auth.json');
-let AUTH = loadAuth();
-
-function loadAuth() {
-  if (existsSync(AUTH_PATH)) {
-    try { return JSON.parse(readFileSync(AUTH_PATH, 'utf8')); } catch {}
-  }
-  // Generate default password on first run
-  const pw = randomBytes(12).toString('base64url');
-  const auth = { password: pw, sessionTtlHours: 24 };
-  writeFileSync(AUTH_PATH, JSON.stringify(auth, null, 2), 'utf8');
-  console.log(`🔐 Generated password: ${pw}`);
-  console.log(`   Stored in: ${AUTH_PATH}`);
-  return auth;
+// ── Config ───────────────────────────────────────────
+// clawd-control.config.json, validated by config.mjs. CLI flags win.
+const { config: CONFIG, errors: configErrors, path: CONFIG_PATH, exists: CONFIG_EXISTS } = loadConfig(DIR);
+if (configErrors.length) {
+  console.error(`❌ Invalid ${CONFIG_FILENAME}:`);
+  for (const err of configErrors) console.error(`   • ${err}`);
+  process.exit(1);
+}
+
+const PORT = parseInt(process.argv.find((_, i, a) => a[i - 1] === '--port') || CONFIG.port);
+const BIND = process.argv.find((_, i, a) => a[i - 1] === '--bind') || CONFIG.bind;
+
+// ── Data Dir ─────────────────────────────────────────
+// Users, sessions and backups live in dataDir, outside the directory the
+// static handler serves. Files an older version kept next to server.mjs
+// are moved over the first time they're needed.
+const DATA_DIR = CONFIG.dataDir;
+mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+
+function dataPath(name) {
+  const path = join(DATA_DIR, name);
+  const legacy = join(DIR, name);
+  if (legacy === path || !existsSync(legacy) || existsSync(path)) return path;
+  try {
+    try { renameSync(legacy, path); }
+    catch { cpSync(legacy, path, { recursive: true }); rmSync(legacy, { recursive: true }); }   // other filesystem
+    console.log(`📦 Moved ${name} to ${DATA_DIR}`);
+  } catch (e) {
+    console.error(`❌ Could not move ${legacy} to ${path}: ${e.message}`);
+    process.exit(1);
+  }
+  return path;
 }
 
-// Session tokens (in-memory, survive until server restart)
-const sessions = new Map();
+// ── Auth ─────────────────────────────────────────────
+// Users stored in dataDir/auth.json. On first run, generates an admin account.
+const AUTH_PATH = dataPath('auth.json');
+let AUTH = loadAuth(AUTH_PATH);
+
+// Session tokens (persisted to dataDir/dashboard-sessions.json, survive restarts).
+// Absolute limit: sessionTtlHours; idle limit: sessionIdleMinutes (0 = off).
+const sessions = new SessionStore(dataPath('dashboard-sessions.json'), {
+  idleMs: (AUTH.sessionIdleMinutes ?? 120) * 60000,
+});
 
-function hashPassword(pw) {
-  return createHash('sha256').update(pw).digest('hex');
+function clientInfo(req) {
+  return { ip: getClientIP(req), userAgent: String(req.headers['user-agent'] || '').slice(0, 300) || null };
 }
 
-function createSession() {
-  const token = randomBytes(32).toString('hex');
-  sessions.set(token, { created: Date.now() });
-  return token;
+function createSession(username, req) {
+  return sessions.create(username, (AUTH.sessionTtlHours || 24) * 3600000, clientInfo(req));
 }
 
 function isValidSession(token) {
   const sess = sessions.get(token);
   if (!sess) return false;
-  const maxAge = (AUTH.sessionTtlHours || 24) * 3600000;
-  if (Date.now() - sess.created > maxAge) { sessions.delete(token); return false; }
+  // User was removed since the session was issued
+  if (!findUser(AUTH, sess.username)) { sessions.delete(token); return false; }
   return true;
 }
 
+// Drop every session belonging to a user (optionally keeping one)
+function revokeUserSessions(username, exceptToken = null) {
+  sessions.revokeUser(username, exceptToken);
+}
+
 function getSessionToken(req) {
   // Check cookie first
   const cookies = req.headers.cookie || '';
@@ -71,14 +117,85 @@ function getSessionToken(req) {
   return null;
 }
 
-function requireAuth(req, res) {
+// API tokens (scoped bearer tokens for agents and scripts)
+const apiTokens = new ApiTokenStore(dataPath('api-tokens.json'));
+
+// Which API token scope grants a route (null → browser sessions only)
+function apiTokenScope(method, path) {
+  if (method === 'GET') {
+    if (['/api/snapshot', '/api/agents', '/api/host', '/api/stream'].includes(path)) return 'snapshot:read';
+    if (/^\/api\/agents\/[^/]+(\/detail)?$/.test(path)) return 'snapshot:read';
+    if (path === '/api/memory/search') return 'snapshot:read';
+    if (path === '/api/tasks' || /^\/api\/agents\/[^/]+\/tasks$/.test(path)) return 'snapshot:read';
+    if (path === '/api/skills' || path === '/api/skills/matrix' || /^\/api\/agents\/[^/]+\/skills$/.test(path)) return 'snapshot:read';
+    if (/^\/api\/agents\/[^/]+\/notes(\/[^/]+)?$/.test(path)) return 'snapshot:read';
+    if (/^\/api\/agents\/[^/]+\/files\/[^/]+(\/diff|\/versions\/[^/]+)?$/.test(path)) return 'snapshot:read';
+    if (['/api/analytics', '/api/tokens', '/api/traces', '/api/sessions', '/api/crons'].includes(path)) return 'analytics:read';
+    if (/^\/api\/session\/[^/]+\/trace$/.test(path)) return 'analytics:read';
+    if (/^\/api\/agents\/[^/]+\/archives(\/[^/]+\/trace)?$/.test(path)) return 'analytics:read';
+    if (/^\/api\/agents\/[^/]+\/model$/.test(path)) return 'analytics:read';
+    if (/^\/api\/agents\/[^/]+\/history$/.test(path)) return 'analytics:read';
+  }
+  if (method === 'POST') {
+    if (/^\/api\/agents\/[^/]+\/(action|chat)$/.test(path)) return 'actions:trigger';
+    if (/^\/api\/agents\/[^/]+\/history\/[^/]+\/undo$/.test(path)) return 'actions:trigger';
+    if (path === '/api/fleet/action') return 'actions:trigger';
+    if (path === '/api/create-agent') return 'agents:create';
+  }
+  return null;
+}
+
+// Resolve the caller: { user, session } for browsers, { user, apiToken } for
+// API tokens, or null. Cached on the request.
+function authenticate(req) {
+  if (req._auth !== undefined) return req._auth;
   const token = getSessionToken(req);
-  if (token && isValidSession(token)) return true;
+  let auth = null;
+  if (token && isApiToken(token)) {
+    const check = apiTokens.verify(token);
+    // Tokens act as their creator; deleting the user disables them, and a
+    // token older than the account can't belong to a recreated namesake
+    const creator = check.valid ? findUser(AUTH, check.record.createdBy) : null;
+    const owner = creator && !(creator.created && check.record.created < Date.parse(creator.created)) ? creator : null;
+    if (owner) auth = { user: owner, apiToken: check.record };
+    else req._authFailure = check.valid ? 'token_owner_deleted' : check.reason;
+  } else if (token && isValidSession(token)) {
+    auth = { user: findUser(AUTH, sessions.get(token).username), session: token };
+    sessions.touch(token, clientInfo(req));
+  }
+  req._auth = auth;
+  return auth;
+}
+
+function getRequestUser(req) {
+  return authenticate(req)?.user || null;
+}
 
+function requireAuth(req, res) {
+  const auth = authenticate(req);
   const url = new URL(req.url, `http://${req.headers.host}`);
 
+  if (auth?.session) return true;
+
+  if (auth?.apiToken) {
+    const scope = apiTokenScope(req.method, url.pathname);
+    if (scope && auth.apiToken.scopes.includes(scope)) return true;
+    audit(req, 'forbidden', scope ? `API token lacks scope ${scope}` : 'Route not available to API tokens');
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: scope ? `API token lacks scope: ${scope}` : 'Not available to API tokens' }));
+    return false;
+  }
+
   // Allow login page and login API without auth
   if (url.pathname === '/login' || url.pathname === '/api/login') return true;
+  // Icons for the login page
+  if (url.pathname === '/lucide.min.js') return true;
+
+  // A presented-but-bad bearer token counts towards the failed-auth block
+  if (req.headers.authorization) {
+    trackFailedAuth(req, getClientIP);
+    audit(req, 'auth_failed', req._authFailure || 'Invalid bearer token', null);
+  }
 
   // For API calls, return 401
   if (url.pathname.startsWith('/api/')) {
@@ -93,6 +210,68 @@ function requireAuth(req, res) {
   return false;
 }
 
+// Call after requireAuth(); responds 403 when the user's role is too low
+function requireRole(req, res, role) {
+  const user = getRequestUser(req);
+  if (hasRole(user, role)) return true;
+  audit(req, 'forbidden', `Requires ${role} role`);
+  res.writeHead(403, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ ok: false, error: `Forbidden — requires ${role} role` }));
+  return false;
+}
+
+// Minimum role per agent action (anything not listed needs operator)
+const ACTION_ROLES = {
+  'session-reset': 'admin',
+};
+
+// Actions that can be run across several agents at once from the fleet grid
+const BULK_ACTIONS = ['heartbeat-trigger', 'session-new', 'pause', 'resume'];
+const BULK_CONCURRENCY = 4;
+
+// Backups of gateway configs taken before every dashboard config.patch
+// (unmasked secrets, so kept in dataDir)
+const GATEWAY_BACKUP_DIR = dataPath('gateway-backups');
+
+// Previous versions of workspace files saved from the dashboard editor
+const WORKSPACE_VERSIONS_DIR = dataPath('workspace-versions');
+
+// Skills replaced or removed from the dashboard: skill-backups/<agent>/<name>-<ts>/
+const SKILL_BACKUP_DIR = dataPath('skill-backups');
+
+// Memory search re-stats workspaces at most this often (changed files are re-read)
+const MEMORY_REFRESH_MS = 5000;
+const memoryIndex = new MemoryIndex();
+
+// Transcripts scanned for model_change entries, newest first
+const MODEL_HISTORY_FILES = 30;
+// Days of token volume the model cost estimate is based on
+const MODEL_ESTIMATE_DAYS = 7;
+
+// Longest message the dashboard chat will send to an agent
+const CHAT_MAX_CHARS = 8000;
+
+// Pending 2FA enrollments must be confirmed within this window
+const TOTP_SETUP_TTL_MS = 10 * 60 * 1000;
+
+// Routes that check a password or 2FA code: 30 requests/minute per IP
+const CREDENTIAL_ROUTES = ['/api/login', '/api/me/password', '/api/me/totp/setup', '/api/me/totp/enable', '/api/me/totp/recovery-codes', '/api/me/totp/disable'];
+// Other state-changing API calls, per signed-in user
+const USER_MUTATIONS_PER_MINUTE = 300;
+
+// Pages only useful to admins (API routes enforce roles themselves)
+const ADMIN_PAGES = ['/create.html', '/users.html', '/audit.html', '/config.html', '/gateway-config.html'];
+
+// Everything the static handler may serve. Nothing else under DIR (config,
+// agents.json, sources, logs) ever goes to the browser.
+const STATIC_FILES = [
+  '/dashboard.html', '/agent-detail.html', '/analytics.html', '/tokens.html', '/traces.html',
+  '/waterfall.html', '/crons.html', '/memory.html', '/tasks.html', '/skills.html', '/account.html',
+  '/security-audit.html', '/gandalf-view.html',   // optional local pages layout.js knows about
+  ...ADMIN_PAGES,
+  '/layout.js', '/lucide.min.js',
+];
+
 const MIME = {
   '.html': 'text/html; charset=utf-8',
   '.json': 'application/json',
@@ -110,7 +289,7 @@ const MIME = {
 const agentsJsonPath = join(DIR, 'agents.json');
 if (!existsSync(agentsJsonPath)) {
   console.log('🔍 agents.json not found, auto-discovering...');
-  const discovered = discoverAgents();
+  const discovered = discoverAgents(CONFIG.openclawHome);
   writeFileSync(agentsJsonPath, JSON.stringify(discovered, null, 2), 'utf8');
   console.log(`✅ Created agents.json with ${discovered.agents.length} agent(s)`);
 }
@@ -136,69 +315,275 @@ function broadcast(event) {
 collector.start();
 console.log('📡 Collector started');
 
+// Paused agents (bindings + heartbeat saved for resume)
+const pauses = new PauseStore(dataPath('agent-pauses.json'));
+for (const id of Object.keys(pauses.pauses)) collector.setPaused(id, describePause(pauses.get(id)));
+
+// Every agent action, with what it needs to be undone
+const history = new ActionHistoryStore(dataPath('action-history.json'));
+
 // ── Agent Actions ──
-async function handleAgentAction(agentId, action) {
+// Dashboard ids can differ from the gateway's agent id (agentAliases in the
+// config, or gatewayAgentId in agents.json)
+function gatewayAgentIdFor(agentId) {
+  return CONFIG.agentAliases[agentId] || collector.state.get(agentId)?.gatewayAgentId || agentId;
+}
+
+// Local gateway state for this agent (session archives live here)
+function agentSessionsDir(agentId) {
+  return join(CONFIG.openclawHome, 'agents', gatewayAgentIdFor(agentId), 'sessions');
+}
+
+// Gateway config via RPC, so remote gateways from agents.json work too.
+// hash is the baseHash config.patch requires (guards concurrent edits).
+function gatewayConfigOf(res) {
+  return { config: res?.config ?? res?.parsed ?? {}, hash: res?.hash };
+}
+
+async function getGatewayConfig(agentId) {
+  return gatewayConfigOf(await collector.callAgent(agentId, 'config.get', {}));
+}
+
+// The gateway on this machine ({ host, port, token } from openclaw.json),
+// which Create Agent registers new agents with
+function localGateway() {
+  const config = JSON.parse(readFileSync(join(CONFIG.openclawHome, 'openclaw.json'), 'utf8'));
+  return { host: '127.0.0.1', port: config.gateway?.port || 18789, token: config.gateway?.auth?.token || '' };
+}
+
+// Gateway that serves this agent (several agents can share one)
+function gatewayFor(agentId) {
+  return collector.gateways.get(collector.agentGateway.get(agentId)) || null;
+}
+
+function gatewayBackupDirFor(agentId) {
+  const gw = gatewayFor(agentId);
+  if (!gw) throw new Error(`No gateway for ${agentId}`);
+  return gatewayBackupDir(GATEWAY_BACKUP_DIR, gw.host, gw.port);
+}
+
+// Every config.patch from the dashboard goes through here, so there is
+// always a backup of the config it replaced to roll back to
+async function patchGateway(gw, { config, hash }, patch, { savedBy = null, reason } = {}) {
+  const backup = saveBackup(gatewayBackupDir(GATEWAY_BACKUP_DIR, gw.host, gw.port), config, { savedBy, reason, hash });
+  await collector.callGateway(gw, 'config.patch', { raw: JSON.stringify(patch), baseHash: hash });
+  return backup;
+}
+
+async function patchGatewayConfig(agentId, current, patch, options) {
+  const gw = gatewayFor(agentId);
+  if (!gw) throw new Error(`No gateway for ${agentId}`);
+  return patchGateway(gw, current, patch, options);
+}
+
+// Reads the local gateway's config, applies buildPatch(config) (null = no
+// change) and returns the backup name, or null
+async function updateLocalGatewayConfig(buildPatch, options) {
+  const gw = localGateway();
+  const current = gatewayConfigOf(await collector.callGateway(gw, 'config.get', {}));
+  const patch = buildPatch(current.config);
+  return patch ? patchGateway(gw, current, patch, options) : null;
+}
+
+async function getHeartbeatSchedule(agentId) {
   try {
+    const { config } = await getGatewayConfig(agentId);
+    return resolveHeartbeat(config, gatewayAgentIdFor(agentId));
+  } catch { return null; }
+}
+
+// field (heartbeat, model) as set on the agent's own entry, null if inherited
+function ownSetting(gwConfig, agentId, field) {
+  return agentList(gwConfig).list.find(a => a.id === gatewayAgentIdFor(agentId))?.[field] ?? null;
+}
+
+// Patches only this agent's heartbeat block; the gateway hot-reloads it.
+// Returns the config backup and the agent's heartbeat block before.
+async function updateHeartbeat(agentId, changes, username) {
+  const current = await getGatewayConfig(agentId);
+  const patch = heartbeatPatch(current.config, gatewayAgentIdFor(agentId), changes);
+  const backup = await patchGatewayConfig(agentId, current, patch, { savedBy: username, reason: `heartbeat (${agentId})` });
+  return { backup, previous: ownSetting(current.config, agentId, 'heartbeat') };
+}
+
+async function setAgentModel(agentId, model, username) {
+  const current = await getGatewayConfig(agentId);
+  const patch = modelPatch(current.config, gatewayAgentIdFor(agentId), model);
+  const backup = await patchGatewayConfig(agentId, current, patch, { savedBy: username, reason: `model (${agentId})` });
+  return { backup, previous: ownSetting(current.config, agentId, 'model') };
+}
+
+async function pauseAgent(agentId, { reason, username }) {
+  const current = await getGatewayConfig(agentId);
+  const { patch, saved } = pausePatch(current.config, gatewayAgentIdFor(agentId));
+  const backup = await patchGatewayConfig(agentId, current, patch, { savedBy: username, reason: `pause (${agentId})` });
+  const pause = pauses.add(agentId, { pausedBy: username, reason, saved });
+  collector.setPaused(agentId, describePause(pause));
+  return { saved, backup };
+}
+
+async function resumeAgent(agentId, username) {
+  const current = await getGatewayConfig(agentId);
+  const patch = resumePatch(current.config, gatewayAgentIdFor(agentId), pauses.get(agentId).saved);
+  const backup = await patchGatewayConfig(agentId, current, patch, { savedBy: username, reason: `resume (${agentId})` });
+  pauses.remove(agentId);
+  collector.setPaused(agentId, null);
+  return backup;
+}
+
+// Restoring a session rewrites the gateway's sessions.json, which a running
+// gateway writes too. There's no RPC for it, so only allow it while the
+// agent's gateway is down. Returns why not, or null.
+function restoreBlocked(agentId) {
+  const gw = gatewayFor(agentId);
+  if (gw && !['disconnected', 'error'].includes(gw.state)) {
+    return `The gateway for ${agentId} is running — stop it (openclaw gateway stop) before restoring a session, then start it again`;
+  }
+  return null;
+}
+
+// Archive names in the agent's local sessions dir (empty for remote gateways)
+function archiveNames(agentId) {
+  try { return new Set(listArchives(agentSessionsDir(agentId), gatewayAgentIdFor(agentId)).map(a => a.name)); }
+  catch { return new Set(); }
+}
+
+// Archives the gateway wrote since before (see archiveNames), newest first
+function newArchives(agentId, before) {
+  try {
+    return listArchives(agentSessionsDir(agentId), gatewayAgentIdFor(agentId)).filter(a => !before.has(a.name));
+  } catch { return []; }
+}
+
+// Works out a gateway config edit without applying it. body is either
+// { section, value } (value as shown, secrets still masked) or { backup }
+// to roll back. Returns { current, patch, diff, errors }.
+async function prepareGatewayEdit(agentId, body) {
+  const current = await getGatewayConfig(agentId);
+  const { config } = current;
+  if (body.backup !== undefined) {
+    const restored = readBackup(gatewayBackupDirFor(agentId), body.backup);
+    if (!restored) return { current, errors: ['Backup not found'] };
+    return {
+      current,
+      patch: mergePatchFor(config, restored),
+      diff: diffJson(maskSecrets(config), maskSecrets(restored)),
+      errors: [],
+    };
+  }
+
+  const section = String(body.section || '');
+  if (!section) return { current, errors: ['Pick a section to edit'] };
+  const { value, errors } = unmaskSecrets(body.value, config[section], section);
+  errors.push(...validateSection(config, section, value));
+  return {
+    current,
+    patch: errors.length ? undefined : mergePatchFor({ [section]: config[section] }, { [section]: value }),
+    diff: diffJson(maskSecrets(config[section]), maskSecrets(value)),
+    errors,
+  };
+}
+
+// Session keys owned by this agent, as listed by its gateway
+async function listAgentSessionKeys(agentId) {
+  const gatewayId = gatewayAgentIdFor(agentId);
+  const res = await collector.callAgent(agentId, 'sessions.list', { agentId: gatewayId, limit: 1000 });
+  const all = Array.isArray(res) ? res : (res?.sessions || []);
+  return all.map(s => s.key).filter(key => key?.startsWith(`agent:${gatewayId}:`));
+}
+
+// Actions run as gateway RPCs on a write-scoped connection (see
+// AgentCollector.callAgent) — no CLI on the dashboard host, no blocking.
+// username is who asked, recorded where an action keeps state (pause).
+// Every call lands in the action history; result.historyId points at it.
+async function handleAgentAction(agentId, action, params = {}, username = null) {
+  const trace = { backups: [], undo: null };
+  const result = await runAgentAction(agentId, action, params, username, trace);
+  const entry = history.record(agentId, { action, params, by: username, result, ...trace });
+  return { ...result, historyId: entry.id };
+}
+
+// trace collects what the history keeps: backups produced, undo record
+async function runAgentAction(agentId, action, params, username, trace) {
+  const configBackup = ({ backup, previous }, kind) => {
+    trace.backups.push({ kind: 'gateway-config', name: backup });
+    if (kind) trace.undo = { kind, value: previous };
+  };
+  try {
+    if (action?.startsWith('heartbeat-') && action !== 'heartbeat-trigger' && pauses.get(agentId)) {
+      return { ok: false, error: `${agentId} is paused — resume it before changing its heartbeat` };
+    }
     switch (action) {
       case 'heartbeat-enable': {
-        // Runtime toggle
-        execFileSync('openclaw', ['system', 'heartbeat', 'enable'], { encoding: 'utf8', stdio: 'pipe' });
-        // Also persist via gateway config.patch
-        try {
-          execFileSync('openclaw', ['gateway', 'config.patch', '--json', JSON.stringify({
-            agents: { defaults: { heartbeat: { every: '55m' } } }
-          })], { encoding: 'utf8', stdio: 'pipe' });
-        } catch (_) { /* best effort */ }
-        return { ok: true, message: `Heartbeat enabled for ${agentId}` };
+        const every = params.every || enableInterval(await getHeartbeatSchedule(agentId) || { defaults: {} });
+        const error = validateHeartbeat({ every });
+        if (error) return { ok: false, error };
+        configBackup(await updateHeartbeat(agentId, { every }, username), 'heartbeat');
+        return { ok: true, message: `Heartbeat enabled for ${agentId} (every ${every})` };
       }
       case 'heartbeat-disable': {
-        // Runtime toggle
-        execFileSync('openclaw', ['system', 'heartbeat', 'disable'], { encoding: 'utf8', stdio: 'pipe' });
-        // Also persist via gateway config.patch
-        try {
-          execFileSync('openclaw', ['gateway', 'config.patch', '--json', JSON.stringify({
-            agents: { defaults: { heartbeat: { every: 'off' } } }
-          })], { encoding: 'utf8', stdio: 'pipe' });
-        } catch (_) { /* best effort */ }
+        configBackup(await updateHeartbeat(agentId, { every: 'off' }, username), 'heartbeat');
         return { ok: true, message: `Heartbeat disabled for ${agentId}` };
       }
+      case 'heartbeat-schedule': {
+        // { every?, activeHours?: { start, end, timezone? } | null }
+        const changes = {};
+        if (params.every !== undefined) changes.every = params.every;
+        if (params.activeHours !== undefined) changes.activeHours = params.activeHours;
+        if (!Object.keys(changes).length) return { ok: false, error: 'Nothing to change' };
+        const error = validateHeartbeat(changes);
+        if (error) return { ok: false, error };
+        configBackup(await updateHeartbeat(agentId, changes, username), 'heartbeat');
+        return { ok: true, message: `Heartbeat schedule updated for ${agentId}` };
+      }
       case 'heartbeat-trigger': {
-        execFileSync('openclaw', ['system', 'event', '--mode', 'now', '--text', 'Manual heartbeat trigger from Ven Agents'], { encoding: 'utf8', stdio: 'pipe' });
+        await collector.callAgent(agentId, 'wake', { mode: 'now', text: 'Manual heartbeat trigger from Ven Agents' });
         return { ok: true, message: `Heartbeat triggered for ${agentId}` };
       }
       case 'session-new': {
-        // Clear only the main session to start fresh (keeps other sessions)
-        const mainAgentId = agentId === 'gandalf' ? 'main' : agentId;
-        const sessPath = join(process.env.HOME, '.openclaw', 'agents', mainAgentId, 'sessions', 'sessions.json');
-        if (existsSync(sessPath)) {
-          const sessions = JSON.parse(readFileSync(sessPath, 'utf8'));
-          const mainKey = `agent:${mainAgentId}:main`;
-          if (sessions[mainKey]) {
-            // Backup the session transcript before clearing
-            const sid = sessions[mainKey].sessionId;
-            if (sid) {
-              const transcript = join(process.env.HOME, '.openclaw', 'agents', mainAgentId, 'sessions', `${sid}.jsonl`);
-              if (existsSync(transcript)) {
-                const bak = transcript.replace('.jsonl', `.archived.${Date.now()}.jsonl`);
-                copyFileSync(transcript, bak);
-              }
-            }
-            delete sessions[mainKey];
-            writeFileSync(sessPath, JSON.stringify(sessions, null, 2), 'utf8');
-          }
-        }
+        // Fresh main session; the gateway archives the old transcript
+        const before = archiveNames(agentId);
+        await collector.callAgent(agentId, 'sessions.reset', { key: `agent:${gatewayAgentIdFor(agentId)}:main` });
+        const archived = newArchives(agentId, before);
+        trace.backups.push(...archived.map(a => ({ kind: 'session-archive', name: a.name })));
+        const transcript = archived.find(a => a.kind === 'transcript');
+        if (transcript) trace.undo = { kind: 'session', archive: transcript.name };
         return { ok: true, message: `New session started for ${agentId}. Old conversation archived.` };
       }
+      case 'model-set': {
+        const error = validateModel(params.model);
+        if (error) return { ok: false, error };
+        configBackup(await setAgentModel(agentId, params.model, username), 'model');
+        return { ok: true, message: `${agentId} now runs on ${params.model}` };
+      }
+      case 'pause': {
+        if (pauses.get(agentId)) return { ok: false, error: `${agentId} is already paused` };
+        const { saved, backup } = await pauseAgent(agentId, { reason: params.reason, username });
+        trace.backups.push({ kind: 'gateway-config', name: backup });
+        const n = saved.bindings.length;
+        return {
+          ok: true,
+          message: n
+            ? `${agentId} paused — ${n} channel binding${n > 1 ? 's' : ''} removed, heartbeat off`
+            : `${agentId} paused — heartbeat off (no channel bindings to remove)`,
+        };
+      }
+      case 'resume': {
+        if (!pauses.get(agentId)) return { ok: false, error: `${agentId} is not paused` };
+        trace.backups.push({ kind: 'gateway-config', name: await resumeAgent(agentId, username) });
+        return { ok: true, message: `${agentId} resumed — bindings and heartbeat restored` };
+      }
       case 'session-reset': {
-        // Delete ALL sessions (nuclear option)
-        const agentIdForPath = agentId === 'gandalf' ? 'main' : agentId;
-        const sessionPath = join(process.env.HOME, '.openclaw', 'agents', agentIdForPath, 'sessions', 'sessions.json');
-        if (existsSync(sessionPath)) {
-          const backup = sessionPath + '.bak.' + Date.now();
-          copyFileSync(sessionPath, backup);
-          writeFileSync(sessionPath, '{}', 'utf8');
+        // Delete ALL sessions (nuclear option) — main is reset, the rest removed
+        const mainKey = `agent:${gatewayAgentIdFor(agentId)}:main`;
+        const keys = await listAgentSessionKeys(agentId);
+        const before = archiveNames(agentId);
+        for (const key of keys) {
+          if (key !== mainKey) await collector.callAgent(agentId, 'sessions.delete', { key });
         }
-        return { ok: true, message: `All sessions reset for ${agentId}. Backup created.` };
+        await collector.callAgent(agentId, 'sessions.reset', { key: mainKey });
+        trace.backups.push(...newArchives(agentId, before).map(a => ({ kind: 'session-archive', name: a.name })));
+        return { ok: true, message: `All sessions reset for ${agentId} (${keys.length} cleared). Transcripts archived by the gateway.` };
       }
       default:
         return { ok: false, error: `Unknown action: ${action}` };
@@ -208,27 +593,84 @@ async function handleAgentAction(agentId, action) {
   }
 }
 
+// Reverses a history entry (see action-history.mjs) and records the undo
+// as an action of its own
+async function undoAgentAction(entry, username) {
+  const { agentId, undo } = entry;
+  const trace = { backups: [], undo: null };
+  let result;
+  try {
+    if (undo.kind === 'session') {
+      const blocked = restoreBlocked(agentId);
+      if (blocked) {
+        result = { ok: false, error: blocked };
+      } else {
+        const { sessionId } = restoreArchive(agentSessionsDir(agentId), gatewayAgentIdFor(agentId), undo.archive);
+        result = { ok: true, message: `Restored session ${sessionId} for ${agentId}. The newer session was archived.` };
+      }
+    } else if (undo.kind === 'heartbeat' && pauses.get(agentId)) {
+      result = { ok: false, error: `${agentId} is paused — resume it before changing its heartbeat` };
+    } else {
+      const current = await getGatewayConfig(agentId);
+      const patch = undoPatch(current.config, gatewayAgentIdFor(agentId), undo);
+      const backup = await patchGatewayConfig(agentId, current, patch, { savedBy: username, reason: `undo ${entry.action} (${agentId})` });
+      trace.backups.push({ kind: 'gateway-config', name: backup });
+      result = { ok: true, message: `Undid ${entry.action} for ${agentId}` };
+    }
+  } catch (e) {
+    result = { ok: false, error: e.message?.substring(0, 200) };
+  }
+  const record = history.record(agentId, { action: 'undo', params: { of: entry.id, action: entry.action }, by: username, result, ...trace, undoOf: entry.id });
+  if (result.ok) history.markUndone(entry.id, { by: username, historyId: record.id });
+  return { ...result, historyId: record.id };
+}
+
+// Runs one action across several agents, at most BULK_CONCURRENCY at a time.
+// onResult fires as each agent finishes; resolves with results in input order.
+async function runBulkAction(agentIds, action, params, username, onResult) {
+  const results = new Array(agentIds.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < agentIds.length) {
+      const i = next++;
+      const agentId = agentIds[i];
+      const result = collector.agents.has(agentId)
+        ? await handleAgentAction(agentId, action, params, username)
+        : { ok: false, error: 'Agent not found' };
+      results[i] = { agentId, ...result };
+      onResult(results[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(BULK_CONCURRENCY, agentIds.length) }, worker));
+  return results;
+}
+
 // ── Security Audit (Frodo's checks) ─────────────────
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 
+// Shared by the audit log and the security-lib checks
+const SECURITY_CONFIG = {
+  workspace: CONFIG.workspace,
+  secretsDir: join(CONFIG.workspace, 'secrets'),
+  logsDir: join(CONFIG.workspace, 'logs'),
+  auditLog: join(CONFIG.workspace, 'logs', 'dashboard-access.log'),
+  maxLogSizeMB: 5,
+};
+
 function runSecurityAudit() {
   const secDir = join(DIR, 'security-lib', 'checks');
-  const os = require('os');
   const config = {
-    workspace: join(os.homedir(), 'clawd'),
-    secretsDir: join(os.homedir(), 'clawd', 'secrets'),
-    logsDir: join(os.homedir(), 'clawd', 'logs'),
-    auditLog: join(os.homedir(), 'clawd', 'logs', 'dashboard-access.log'),
-    maxLogSizeMB: 5,
+    ...SECURITY_CONFIG,
+    dashboard: { bind: BIND, port: PORT, tls: !!TLS, loopback: isLoopbackBind(BIND), policy: describePolicy(NETWORK_POLICY) },
   };
 
-  const { checkSecrets } = require(join(secDir, 'secrets.js'));
-  const { checkExposedCredentials } = require(join(secDir, 'credentials.js'));
-  const { checkNetwork } = require(join(secDir, 'network.js'));
-  const { checkSystem } = require(join(secDir, 'system.js'));
-  const { checkGatewayConfig } = require(join(secDir, 'gateway.js'));
-  const { checkAccounts } = require(join(secDir, 'accounts.js'));
+  const { checkSecrets } = require(join(secDir, 'secrets.cjs'));
+  const { checkExposedCredentials } = require(join(secDir, 'credentials.cjs'));
+  const { checkNetwork } = require(join(secDir, 'network.cjs'));
+  const { checkSystem } = require(join(secDir, 'system.cjs'));
+  const { checkGatewayConfig } = require(join(secDir, 'gateway.cjs'));
+  const { checkAccounts } = require(join(secDir, 'accounts.cjs'));
 
   const dummyTokenInfo = () => ({ expired: false, remainingHours: 24, ageHours: 0, maxAgeDays: 7 });
 
@@ -250,6 +692,81 @@ function safeRun(fn) {
   catch (e) { return [{ name: 'Check failed', status: 'fail', detail: e.message }]; }
 }
 
+// ── Audit Log & Rate Limiting ───────────────────────
+const { auditLog, readAuditLog } = require('./security-lib/audit-log.cjs');
+const { checkRateLimit, trackFailedAuth } = require('./security-lib/rate-limit.cjs');
+const { getClientIP } = require('./security-lib/auth.cjs');
+
+try { mkdirSync(SECURITY_CONFIG.logsDir, { recursive: true }); } catch {}
+
+// Record who did what; the user defaults to whoever is signed in
+function audit(req, action, detail = '', username = getRequestUser(req)?.username) {
+  const token = req._auth?.apiToken;
+  const via = token ? ` [API token "${token.name}"]` : '';
+  auditLog(SECURITY_CONFIG, getClientIP(req), req.url, action, `${detail}${via}`, username);
+}
+
+// security-lib's rate limiter logs with (ip, endpoint, action, detail)
+function rateLimitAudit(ip, endpoint, action, detail) {
+  auditLog(SECURITY_CONFIG, ip, endpoint, action, detail);
+}
+
+// ── CORS, CSRF & Security Headers ───────────────────
+const { setSecurityHeaders } = require('./security-lib/security-headers.cjs');
+
+// Pages use inline scripts/handlers, and layout.js runs page scripts with
+// new Function() on SPA navigation — hence 'unsafe-inline' + 'unsafe-eval'.
+const PAGE_CSP = [
+  "default-src 'self'",
+  "script-src 'self' 'unsafe-inline' 'unsafe-eval'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data: blob:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+].join('; ');
+
+// Extra origins allowed to call the API cross-origin (--allow-origin a,b,
+// or "allowedOrigins" in the config)
+const ALLOWED_ORIGINS = (process.argv.find((_, i, a) => a[i - 1] === '--allow-origin')?.split(',') || CONFIG.allowedOrigins)
+  .map(o => o.trim().replace(/\/$/, '')).filter(Boolean);
+
+function isSameOrigin(req, origin) {
+  try { return new URL(origin).host === req.headers.host; } catch { return false; }
+}
+
+// Responds 403 to writes (and preflights) from origins not on the allowlist
+function applyCors(req, res) {
+  const origin = req.headers.origin;
+  if (!origin || isSameOrigin(req, origin)) return true;
+  if (ALLOWED_ORIGINS.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-CSRF-Token');
+    res.setHeader('Vary', 'Origin');
+    return true;
+  }
+  // Without an Allow-Origin header the browser already blocks cross-origin reads
+  if (req.method === 'GET' || req.method === 'HEAD') return true;
+  audit(req, 'cors_blocked', origin);
+  sendJson(res, 403, { ok: false, error: 'Origin not allowed' });
+  return false;
+}
+
+// Cookie sessions must echo their CSRF token on anything but GET/HEAD.
+// API tokens are sent explicitly by the caller, so they can't be forged.
+function checkCsrf(req, res) {
+  if (req.method === 'GET' || req.method === 'HEAD') return true;
+  const auth = authenticate(req);
+  if (!auth?.session) return true;
+  if (sessions.checkCsrf(auth.session, req.headers['x-csrf-token'])) return true;
+  audit(req, 'csrf_failed', 'Missing or invalid X-CSRF-Token');
+  sendJson(res, 403, { ok: false, error: 'Invalid CSRF token — reload the page' });
+  return false;
+}
+
 // ── Agent Detail Reader ─────────────────────────────
 function getAgentDetail(agentId) {
   const agentConfig = collector.config?.agents?.find(a => a.id === agentId);
@@ -291,24 +808,7 @@ function getAgentDetail(agentId) {
   const bootstrap = safeRead('BOOTSTRAP.md');
 
   // List skills
-  let skills = [];
-  const skillsDir = join(ws, 'skills');
-  if (existsSync(skillsDir)) {
-    try {
-      skills = readdirSync(skillsDir).filter(f => {
-        return statSync(join(skillsDir, f)).isDirectory();
-      }).map(name => {
-        const skillMd = join(skillsDir, name, 'SKILL.md');
-        let description = null;
-        if (existsSync(skillMd)) {
-          const content = readFileSync(skillMd, 'utf8');
-          const descMatch = content.match(/description:\s*(.+)/);
-          if (descMatch) description = descMatch[1].trim();
-        }
-        return { name, description };
-      });
-    } catch {}
-  }
+  const skills = listSkills(join(ws, 'skills'));
 
   // List memory files
   let memoryFiles = [];
@@ -349,24 +849,77 @@ function getAgentDetail(agentId) {
   };
 }
 
+// ── Skills ──────────────────────────────────────────
+
+// Every agent's installed skills, plus the skill library if one is configured
+function fleetSkills() {
+  const agents = (collector.config?.agents || [])
+    .filter(a => a.workspace)
+    .map(a => ({ id: a.id, name: a.name || a.id, emoji: a.emoji || '', skills: listSkills(join(a.workspace, 'skills')) }));
+  const library = CONFIG.skillLibrary ? { path: CONFIG.skillLibrary, skills: listSkills(CONFIG.skillLibrary) } : null;
+  return { library, agents };
+}
+
+// An agent's skills with requirement checks and the versions the rest of
+// the fleet has, plus what it could install and from where
+function agentSkills(agentId) {
+  const fleet = fleetSkills();
+  const own = fleet.agents.find(a => a.id === agentId);
+  if (!own) return null;
+  // name → [{ from: 'library' | agentId, version }]
+  const sources = new Map();
+  const addSource = (from, skill) => {
+    if (!sources.has(skill.name)) sources.set(skill.name, []);
+    sources.get(skill.name).push({ from, version: skill.version });
+  };
+  for (const s of fleet.library?.skills || []) addSource('library', s);
+  for (const a of fleet.agents) if (a.id !== agentId) for (const s of a.skills) addSource(a.id, s);
+  const known = new Set([...sources.keys(), ...own.skills.map(s => s.name)]);
+
+  const skills = own.skills.map(s => {
+    const elsewhere = sources.get(s.name) || [];
+    const newest = elsewhere.reduce((best, src) => compareVersions(src.version, best?.version) > 0 ? src : best, null);
+    return {
+      ...s,
+      requirements: checkRequirements(s, own.skills, known),
+      elsewhere,
+      update: newest && compareVersions(newest.version, s.version) > 0 ? newest : null,
+    };
+  });
+  const available = [...sources.entries()]
+    .filter(([name]) => !own.skills.some(s => s.name === name))
+    .map(([name, from]) => {
+      const skill = (fleet.library?.skills || []).find(s => s.name === name)
+        || fleet.agents.flatMap(a => a.skills).find(s => s.name === name);
+      return { name, description: skill.description, sources: from.sort((a, b) => compareVersions(b.version, a.version)) };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return { skills, available, library: fleet.library ? fleet.library.path : null };
+}
+
+// skills/ directory to install from: the library or another agent's workspace
+function skillSourceDir(from) {
+  if (from === 'library') return CONFIG.skillLibrary || null;
+  const workspace = collector.config?.agents?.find(a => a.id === from)?.workspace;
+  return workspace ? join(workspace, 'skills') : null;
+}
+
+function skillBackupDir(agentId) {
+  return join(SKILL_BACKUP_DIR, agentId.replace(/[^\w.-]/g, '_'));
+}
+
 // ── Analytics Aggregator ────────────────────────────
-import { homedir } from 'os';
 
 // Helper: Discover agent instances from ~/.openclaw-{agentId} directories
-// Skips inactive agents (modified >48h ago) and archive directories
+// Skips inactive agents (not modified within analytics.activeWithinHours)
+// and anything in analytics.skipAgents (old/renamed agents, sub-agents
+// tracked under their parent)
 function discoverAgentInstances() {
-  const homeDir = homedir();
+  const homeDir = CONFIG.analytics.instancesDir;
   const agentMap = new Map(); // agentId -> sessionDir
-  const cutoffTime = Date.now() - (48 * 3600 * 1000); // 48 hours ago
-  
-  // Skip list: old/inactive/renamed agents or sub-agents tracked under parent
-  const skipList = [
-    'archive',
-    'max',                      // Renamed to charlie
-    'ven-marketing-monitor',    // Inactive
-    'mission-control-ops',      // Sub-agent inside Brian
-    'mission-control-sales'     // Sub-agent inside Brian
-  ];
+  const activeHours = CONFIG.analytics.activeWithinHours;
+  const cutoffTime = activeHours ? Date.now() - (activeHours * 3600 * 1000) : 0;
+  const skipList = CONFIG.analytics.skipAgents;
   
   try {
     const entries = readdirSync(homeDir, { withFileTypes: true });
@@ -401,6 +954,13 @@ function discoverAgentInstances() {
   return agentMap;
 }
 
+// Analytics instances are named after the gateway's agent id, which can
+// differ from the dashboard's. Returns the instance id, or null if none.
+function analyticsInstanceFor(agentId) {
+  const instances = discoverAgentInstances();
+  return [gatewayAgentIdFor(agentId), agentId].find(id => instances.has(id)) || null;
+}
+
 function getAnalytics(rangeStr, agentFilter) {
   const range = rangeStr === 'all' ? Infinity : parseInt(rangeStr);
   const cutoffDate = rangeStr === 'all' ? 0 : Date.now() - (range * 86400000);
@@ -796,6 +1356,12 @@ function getSessionTrace(sessionKey) {
 
   if (!sessionFile || !existsSync(sessionFile)) return null;
 
+  const parsed = parseTranscript(sessionFile);
+  return parsed && { sessionKey, agentId, ...parsed };
+}
+
+// Parse a JSONL transcript into waterfall rows + summary (null if unreadable)
+function parseTranscript(sessionFile) {
   // Parse the JSONL file
   const trace = [];
   let totalCost = 0;
@@ -805,6 +1371,7 @@ function getSessionTrace(sessionKey) {
   let totalCacheRead = 0;
   let messageCount = 0;
   let currentModel = 'unknown';
+  const modelChanges = [];
 
   try {
     const content = readFileSync(sessionFile, 'utf8');
@@ -817,6 +1384,8 @@ function getSessionTrace(sessionKey) {
         // Track model changes
         if (entry.type === 'model_change' && entry.modelId) {
           currentModel = entry.modelId.replace('anthropic/', '').replace('openai/', '');
+          const qualified = entry.provider && !entry.modelId.includes('/') ? `${entry.provider}/${entry.modelId}` : entry.modelId;
+          modelChanges.push({ timestamp: entry.timestamp, model: qualified });
         }
 
         // Extract message data
@@ -910,9 +1479,8 @@ function getSessionTrace(sessionKey) {
   const totalDuration = endTime - startTime;
 
   return {
-    sessionKey,
-    agentId,
     trace,
+    modelChanges,
     summary: {
       totalCost,
       totalTokens,
@@ -927,6 +1495,28 @@ function getSessionTrace(sessionKey) {
   };
 }
 
+// Model switches across an agent's recent transcripts (live and archived),
+// oldest first. Every session logs the model it starts on, so repeats of
+// the previous model are dropped.
+function getModelHistory(agentId) {
+  const dir = agentSessionsDir(agentId);
+  if (!existsSync(dir)) return [];
+  const files = readdirSync(dir)
+    .filter(f => f.endsWith('.jsonl'))
+    .map(f => { try { return { f, mtime: statSync(join(dir, f)).mtimeMs }; } catch { return null; } })
+    .filter(Boolean)
+    .sort((a, b) => b.mtime - a.mtime)
+    .slice(0, MODEL_HISTORY_FILES);
+
+  const changes = [];
+  for (const { f } of files) {
+    const parsed = parseTranscript(join(dir, f));
+    for (const change of parsed?.modelChanges || []) changes.push({ ...change, sessionId: f.split('.')[0] });
+  }
+  changes.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  return changes.filter((c, i) => i === 0 || c.model !== changes[i - 1].model);
+}
+
 // ── Traces (delegation trees) ──────────────────────
 
 function getTraces() {
@@ -1070,36 +1660,135 @@ function getTraces() {
 
 // ── HTTP Server ─────────────────────────────────────
 
-const server = createServer((req, res) => {
+function sendJson(res, status, obj) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(obj));
+}
+
+// Collect and parse a JSON request body
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try { resolve(body ? JSON.parse(body) : {}); } catch (e) { reject(e); }
+    });
+    req.on('error', reject);
+  });
+}
+
+// ── HTTPS ────────────────────────────────────────────
+// From flags, or a "tls" block in clawd-control.config.json:
+//   { "tls": { "cert": "...", "key": "...", "selfSigned": true, "redirectPort": 80 } }
+const TLS_CONFIG = {
+  cert: process.argv.find((_, i, a) => a[i - 1] === '--tls-cert') || CONFIG.tls.cert,
+  key: process.argv.find((_, i, a) => a[i - 1] === '--tls-key') || CONFIG.tls.key,
+  selfSigned: process.argv.includes('--tls-self-signed') || CONFIG.tls.selfSigned,
+  redirectPort: parseInt(process.argv.find((_, i, a) => a[i - 1] === '--http-redirect-port') || CONFIG.tls.redirectPort) || null,
+};
+// Self-signed without explicit paths → dataDir/tls/, never in the web root
+if (TLS_CONFIG.selfSigned && !TLS_CONFIG.cert && !TLS_CONFIG.key) {
+  TLS_CONFIG.cert = join(dataPath('tls'), 'self-signed.crt');
+  TLS_CONFIG.key = join(dataPath('tls'), 'self-signed.key');
+}
+
+let TLS = null;
+if (TLS_CONFIG.cert || TLS_CONFIG.key) {
+  if (!TLS_CONFIG.cert || !TLS_CONFIG.key) {
+    console.error('❌ --tls-cert and --tls-key must be given together');
+    process.exit(1);
+  }
+  try {
+    TLS = loadTls(TLS_CONFIG);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+}
+
+// ── Network Policy ───────────────────────────────────
+// CIDR allow/deny lists ("network" in clawd-control.config.json), checked
+// before the route runs. Verified API tokens and everything else (browser
+// sessions, the login page) have separate rules.
+// Rules were validated with the rest of the config at startup.
+const NETWORK_POLICY = compileNetworkPolicy(CONFIG.network);
+
+// Blocked probes are audited at most once a minute per address
+const ipBlockLogged = new Map();
+
+function enforceNetworkPolicy(req, res, path) {
+  // Token rules only once the token checks out: a made-up bearer header
+  // mustn't open the login page to networks allowed only for tokens
+  const viaToken = path !== '/login' && path !== '/api/login' && !!authenticate(req)?.apiToken;
+  const rules = viaToken ? NETWORK_POLICY.apiTokens : NETWORK_POLICY.sessions;
+  const ip = getClientIP(req);
+  const reason = checkIp(rules, ip);
+  if (!reason) return true;
+  if (Date.now() - (ipBlockLogged.get(ip) || 0) > 60000) {
+    ipBlockLogged.set(ip, Date.now());
+    audit(req, 'ip_blocked', reason, null);
+  }
+  res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end('Forbidden');
+  return false;
+}
+
+// Session cookies must not leak over plain HTTP once TLS is on
+const COOKIE_FLAGS = `Path=/; HttpOnly; SameSite=Strict${TLS ? '; Secure' : ''}`;
+
+const handleRequest = (req, res) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const path = url.pathname;
 
-  // CORS for local network
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  setSecurityHeaders(res, path.startsWith('/api/') ? {} : { csp: PAGE_CSP });
+  if (!enforceNetworkPolicy(req, res, path)) return;
+  if (!applyCors(req, res)) return;
 
   if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
 
+  // Password and 2FA checks get the strict per-IP limit
+  if (req.method === 'POST' && CREDENTIAL_ROUTES.includes(path) && !checkRateLimit(req, res, getClientIP, rateLimitAudit)) return;
+
   // ── Login ──
   if (path === '/api/login' && req.method === 'POST') {
     let body = '';
     req.on('data', chunk => { body += chunk; });
     req.on('end', () => {
       try {
-        const { password } = JSON.parse(body);
-        const pwBuf = Buffer.from(String(password));
-        const authBuf = Buffer.from(String(AUTH.password));
-        if (pwBuf.length === authBuf.length && timingSafeEqual(pwBuf, authBuf)) {
-          const token = createSession();
+        const { username, password, code } = JSON.parse(body);
+        // Username is optional for backward compatibility (defaults to admin)
+        const user = findUser(AUTH, username || 'admin');
+        if (verifyPassword(user, password)) {
+          // Second factor for users who enrolled in 2FA
+          let factor = null;
+          if (user.totp?.enabled) {
+            if (!code) {
+              sendJson(res, 401, { ok: false, totpRequired: true, error: 'Enter your authentication code' });
+              return;
+            }
+            factor = checkSecondFactor(user.totp, code);
+            if (!factor) {
+              trackFailedAuth(req, getClientIP);
+              audit(req, 'login_failed', 'Invalid authentication code', user.username);
+              sendJson(res, 401, { ok: false, totpRequired: true, error: 'Invalid authentication code' });
+              return;
+            }
+            saveAuth(AUTH_PATH, AUTH);   // persist lastStep / consumed recovery code
+          }
+          const token = createSession(user.username, req);
+          audit(req, 'login', factor === 'recovery' ? 'With recovery code' : factor ? 'With 2FA' : '', user.username);
           res.writeHead(200, {
             'Content-Type': 'application/json',
-            'Set-Cookie': `fmc_session=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${(AUTH.sessionTtlHours || 24) * 3600}`,
+            'Set-Cookie': `fmc_session=${token}; ${COOKIE_FLAGS}; Max-Age=${(AUTH.sessionTtlHours || 24) * 3600}`,
           });
-          res.end(JSON.stringify({ ok: true }));
+          res.end(JSON.stringify(factor === 'recovery'
+            ? { ok: true, recoveryCodesLeft: user.totp.recoveryCodes.length }
+            : { ok: true }));
         } else {
+          trackFailedAuth(req, getClientIP);
+          audit(req, 'login_failed', 'Wrong username or password', String(username || 'admin').toLowerCase().slice(0, 32));
           res.writeHead(401, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: false, error: 'Wrong password' }));
+          res.end(JSON.stringify({ ok: false, error: 'Wrong username or password' }));
         }
       } catch (e) {
         res.writeHead(400, { 'Content-Type': 'application/json' });
@@ -1110,11 +1799,13 @@ const server = createServer((req, res) => {
   }
 
   if (path === '/api/logout' && req.method === 'POST') {
+    if (!checkCsrf(req, res)) return;
     const token = getSessionToken(req);
+    if (token && isValidSession(token)) audit(req, 'logout');
     if (token) sessions.delete(token);
     res.writeHead(200, {
       'Content-Type': 'application/json',
-      'Set-Cookie': 'fmc_session=; Path=/; HttpOnly; Max-Age=0',
+      'Set-Cookie': `fmc_session=; ${COOKIE_FLAGS}; Max-Age=0`,
     });
     res.end(JSON.stringify({ ok: true }));
     return;
@@ -1136,6 +1827,254 @@ const server = createServer((req, res) => {
 
   // ── Auth gate (everything below requires auth) ──
   if (!requireAuth(req, res)) return;
+  if (!checkCsrf(req, res)) return;
+
+  const user = getRequestUser(req);
+
+  // Anything else that changes state counts against the user's own budget
+  if (req.method !== 'GET' && path.startsWith('/api/') && !CREDENTIAL_ROUTES.includes(path) &&
+      !checkRateLimit(req, res, getClientIP, rateLimitAudit, { key: `user:${user.username}`, max: USER_MUTATIONS_PER_MINUTE })) return;
+
+  // ── Current user ──
+  if (path === '/api/me' && req.method === 'GET') {
+    const recoveryCodesLeft = user.totp?.enabled ? user.totp.recoveryCodes.length : null;
+    const session = authenticate(req).session;
+    const csrfToken = session ? sessions.csrfToken(session) : null;
+    sendJson(res, 200, { ...publicUser(user), recoveryCodesLeft, csrfToken, roles: ROLES });
+    return;
+  }
+
+  if (path === '/api/me/password' && req.method === 'POST') {
+    readJsonBody(req).then(({ currentPassword, newPassword }) => {
+      if (!verifyPassword(user, currentPassword)) {
+        sendJson(res, 400, { ok: false, error: 'Current password is incorrect' });
+        return;
+      }
+      const err = validateUser({ password: newPassword });
+      if (err) { sendJson(res, 400, { ok: false, error: err }); return; }
+      setPassword(user, newPassword);
+      saveAuth(AUTH_PATH, AUTH);
+      // Log out every other browser using the old password
+      revokeUserSessions(user.username, getSessionToken(req));
+      audit(req, 'password_changed');
+      sendJson(res, 200, { ok: true, message: 'Password changed' });
+    }).catch(() => sendJson(res, 400, { ok: false, error: 'Bad request' }));
+    return;
+  }
+
+  // ── Active sessions ──
+  if (path === '/api/me/sessions' && req.method === 'GET') {
+    const current = authenticate(req).session;
+    sendJson(res, 200, {
+      sessions: sessions.list(user.username, current),
+      ttlHours: AUTH.sessionTtlHours || 24,
+      idleMinutes: AUTH.sessionIdleMinutes ?? 120,
+    });
+    return;
+  }
+
+  if (path === '/api/me/sessions/revoke-all' && req.method === 'POST') {
+    audit(req, 'sessions_revoked', 'Logged out everywhere');
+    revokeUserSessions(user.username);
+    res.writeHead(200, {
+      'Content-Type': 'application/json',
+      'Set-Cookie': `fmc_session=; ${COOKIE_FLAGS}; Max-Age=0`,
+    });
+    res.end(JSON.stringify({ ok: true, message: 'Logged out everywhere' }));
+    return;
+  }
+
+  if (path.startsWith('/api/me/sessions/') && req.method === 'DELETE') {
+    const id = path.split('/')[4];
+    if (!sessions.revokeId(user.username, id)) { sendJson(res, 404, { ok: false, error: 'Session not found' }); return; }
+    audit(req, 'session_revoked', `Session ${id.slice(0, 8)}`);
+    sendJson(res, 200, { ok: true, message: 'Session revoked' });
+    return;
+  }
+
+  // ── Two-factor (TOTP) ──
+  if (path === '/api/me/totp/setup' && req.method === 'POST') {
+    readJsonBody(req).then(({ password }) => {
+      if (!verifyPassword(user, password)) { sendJson(res, 400, { ok: false, error: 'Password is incorrect' }); return; }
+      if (user.totp?.enabled) { sendJson(res, 400, { ok: false, error: 'Two-factor is already enabled' }); return; }
+      const secret = generateSecret();
+      user.totpPending = { secret, created: Date.now() };
+      saveAuth(AUTH_PATH, AUTH);
+      // The secret is only ever returned here; confirm with /enable
+      const uri = otpauthUri({ secret, account: user.username, issuer: 'Ven Agents' });
+      sendJson(res, 200, { ok: true, secret, uri, qr: qrSvg(uri) });
+    }).catch(() => sendJson(res, 400, { ok: false, error: 'Bad request' }));
+    return;
+  }
+
+  if (path === '/api/me/totp/enable' && req.method === 'POST') {
+    readJsonBody(req).then(({ code }) => {
+      const pending = user.totpPending;
+      if (!pending || Date.now() - pending.created > TOTP_SETUP_TTL_MS) {
+        sendJson(res, 400, { ok: false, error: 'Setup expired — start again' });
+        return;
+      }
+      const step = verifyTotp(pending.secret, code);
+      if (step === null) { sendJson(res, 400, { ok: false, error: 'Code did not match — check your device clock' }); return; }
+      const { codes, hashes } = generateRecoveryCodes();
+      user.totp = { enabled: true, secret: pending.secret, lastStep: step, recoveryCodes: hashes, enabledAt: new Date().toISOString() };
+      delete user.totpPending;
+      saveAuth(AUTH_PATH, AUTH);
+      audit(req, 'totp_enabled');
+      sendJson(res, 200, { ok: true, message: 'Two-factor enabled', recoveryCodes: codes });
+    }).catch(() => sendJson(res, 400, { ok: false, error: 'Bad request' }));
+    return;
+  }
+
+  if (path === '/api/me/totp/recovery-codes' && req.method === 'POST') {
+    readJsonBody(req).then(({ code }) => {
+      if (!user.totp?.enabled) { sendJson(res, 400, { ok: false, error: 'Two-factor is not enabled' }); return; }
+      if (checkSecondFactor(user.totp, code) !== 'totp') {
+        sendJson(res, 400, { ok: false, error: 'Invalid authentication code' });
+        return;
+      }
+      const { codes, hashes } = generateRecoveryCodes();
+      user.totp.recoveryCodes = hashes;
+      saveAuth(AUTH_PATH, AUTH);
+      audit(req, 'totp_recovery_codes');
+      sendJson(res, 200, { ok: true, message: 'New recovery codes generated — old ones no longer work', recoveryCodes: codes });
+    }).catch(() => sendJson(res, 400, { ok: false, error: 'Bad request' }));
+    return;
+  }
+
+  if (path === '/api/me/totp/disable' && req.method === 'POST') {
+    readJsonBody(req).then(({ password, code }) => {
+      if (!user.totp?.enabled) { sendJson(res, 400, { ok: false, error: 'Two-factor is not enabled' }); return; }
+      if (!verifyPassword(user, password)) { sendJson(res, 400, { ok: false, error: 'Password is incorrect' }); return; }
+      if (!checkSecondFactor(user.totp, code)) { sendJson(res, 400, { ok: false, error: 'Invalid authentication code' }); return; }
+      delete user.totp;
+      saveAuth(AUTH_PATH, AUTH);
+      audit(req, 'totp_disabled');
+      sendJson(res, 200, { ok: true, message: 'Two-factor disabled' });
+    }).catch(() => sendJson(res, 400, { ok: false, error: 'Bad request' }));
+    return;
+  }
+
+  // ── User Management (admin) ──
+  if (path === '/api/users' && req.method === 'GET') {
+    if (!requireRole(req, res, 'admin')) return;
+    sendJson(res, 200, { users: AUTH.users.map(publicUser), roles: ROLES });
+    return;
+  }
+
+  if (path === '/api/users' && req.method === 'POST') {
+    if (!requireRole(req, res, 'admin')) return;
+    readJsonBody(req).then(({ username, password, role = 'viewer' }) => {
+      const err = validateUser({ username, password, role });
+      if (err) { sendJson(res, 400, { ok: false, error: err }); return; }
+      const name = String(username).toLowerCase();
+      if (findUser(AUTH, name)) { sendJson(res, 409, { ok: false, error: `User "${name}" already exists` }); return; }
+      const created = { username: name, password: '', role, created: new Date().toISOString() };
+      setPassword(created, password);
+      AUTH.users.push(created);
+      saveAuth(AUTH_PATH, AUTH);
+      audit(req, 'user_created', `${name} (${role})`);
+      sendJson(res, 200, { ok: true, message: `User ${name} created`, user: publicUser(created) });
+    }).catch(() => sendJson(res, 400, { ok: false, error: 'Bad request' }));
+    return;
+  }
+
+  if (path.startsWith('/api/users/') && path.split('/').length === 4) {
+    if (!requireRole(req, res, 'admin')) return;
+    const target = findUser(AUTH, decodeURIComponent(path.split('/')[3]));
+    if (!target) { sendJson(res, 404, { ok: false, error: 'User not found' }); return; }
+
+    if (req.method === 'POST') {
+      readJsonBody(req).then(({ role, password, resetTotp }) => {
+        const err = validateUser({ role, password }, { requirePassword: false });
+        if (err) { sendJson(res, 400, { ok: false, error: err }); return; }
+        if (role && role !== 'admin' && target.role === 'admin' && countAdmins(AUTH) === 1) {
+          sendJson(res, 400, { ok: false, error: 'Cannot demote the last admin' });
+          return;
+        }
+        if (role) target.role = role;
+        if (password) {
+          setPassword(target, password);
+          revokeUserSessions(target.username, target === user ? getSessionToken(req) : null);
+        }
+        // For users locked out of their authenticator and recovery codes
+        if (resetTotp) {
+          delete target.totp;
+          delete target.totpPending;
+        }
+        saveAuth(AUTH_PATH, AUTH);
+        const changes = [role && `role → ${role}`, password && 'password reset', resetTotp && '2FA reset'].filter(Boolean);
+        audit(req, 'user_updated', `${target.username}: ${changes.join(', ') || 'no changes'}`);
+        sendJson(res, 200, { ok: true, message: `User ${target.username} updated`, user: publicUser(target) });
+      }).catch(() => sendJson(res, 400, { ok: false, error: 'Bad request' }));
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      if (target === user) { sendJson(res, 400, { ok: false, error: 'You cannot delete your own account' }); return; }
+      if (target.role === 'admin' && countAdmins(AUTH) === 1) {
+        sendJson(res, 400, { ok: false, error: 'Cannot delete the last admin' });
+        return;
+      }
+      AUTH.users = AUTH.users.filter(u => u !== target);
+      saveAuth(AUTH_PATH, AUTH);
+      revokeUserSessions(target.username);
+      const revokedTokens = apiTokens.revokeUser(target.username);
+      audit(req, 'user_deleted', `${target.username}${revokedTokens ? ` (${revokedTokens} API token${revokedTokens === 1 ? '' : 's'} revoked)` : ''}`);
+      sendJson(res, 200, { ok: true, message: `User ${target.username} deleted` });
+      return;
+    }
+  }
+
+  // ── API Tokens ──
+  if (path === '/api/api-tokens' && req.method === 'GET') {
+    const visible = hasRole(user, 'admin') ? apiTokens.list() : apiTokens.list().filter(t => t.createdBy === user.username);
+    const scopes = Object.entries(SCOPES).map(([id, s]) => ({ id, ...s, allowed: hasRole(user, s.role) }));
+    sendJson(res, 200, { tokens: visible, scopes });
+    return;
+  }
+
+  if (path === '/api/api-tokens' && req.method === 'POST') {
+    readJsonBody(req).then(({ name, scopes, expiresDays }) => {
+      if (!name || !String(name).trim()) { sendJson(res, 400, { ok: false, error: 'Name is required' }); return; }
+      if (!Array.isArray(scopes) || scopes.length === 0) { sendJson(res, 400, { ok: false, error: 'Pick at least one scope' }); return; }
+      for (const scope of scopes) {
+        if (!SCOPES[scope]) { sendJson(res, 400, { ok: false, error: `Unknown scope: ${scope}` }); return; }
+        if (!hasRole(user, SCOPES[scope].role)) {
+          sendJson(res, 403, { ok: false, error: `Scope ${scope} requires ${SCOPES[scope].role} role` });
+          return;
+        }
+      }
+      const days = expiresDays ? parseInt(expiresDays) : null;
+      if (days !== null && !(days > 0)) { sendJson(res, 400, { ok: false, error: 'Invalid expiry' }); return; }
+      const { token, record } = apiTokens.create({ name: String(name).trim(), scopes, expiresDays: days, createdBy: user.username });
+      audit(req, 'api_token_created', `"${record.name}" (${scopes.join(', ')})`);
+      sendJson(res, 200, { ok: true, message: `Token "${record.name}" created`, token, record: publicToken(record) });
+    }).catch(() => sendJson(res, 400, { ok: false, error: 'Bad request' }));
+    return;
+  }
+
+  if (path.startsWith('/api/api-tokens/')) {
+    const [, , , id, op] = path.split('/');
+    const record = apiTokens.find(id);
+    if (!record || (record.createdBy !== user.username && !hasRole(user, 'admin'))) {
+      sendJson(res, 404, { ok: false, error: 'Token not found' });
+      return;
+    }
+    if (op === 'rotate' && req.method === 'POST') {
+      const rotated = apiTokens.rotate(id);
+      if (!rotated) { sendJson(res, 400, { ok: false, error: 'Token is revoked' }); return; }
+      audit(req, 'api_token_rotated', `"${record.name}"`);
+      sendJson(res, 200, { ok: true, message: `Token "${record.name}" rotated — old secret valid for 1h`, token: rotated.token, record: publicToken(rotated.record) });
+      return;
+    }
+    if (!op && req.method === 'DELETE') {
+      apiTokens.revoke(id);
+      audit(req, 'api_token_revoked', `"${record.name}" (owner ${record.createdBy})`);
+      sendJson(res, 200, { ok: true, message: `Token "${record.name}" revoked` });
+      return;
+    }
+  }
 
   // ── API Routes ──
 
@@ -1152,6 +2091,31 @@ const server = createServer((req, res) => {
     return;
   }
 
+  // ── Memory Search ──
+  // ?q=words "phrases"&agent=a,b&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=&offset=
+  // over every agents.json workspace
+  if (path === '/api/memory/search' && req.method === 'GET') {
+    const q = (url.searchParams.get('q') || '').trim();
+    if (!q) {
+      sendJson(res, 400, { ok: false, error: 'q is required' });
+      return;
+    }
+    const started = Date.now();
+    if (started - memoryIndex.refreshedAt > MEMORY_REFRESH_MS) {
+      memoryIndex.refresh((collector.config?.agents || []).map(a => ({ id: a.id, workspace: a.workspace })));
+    }
+    const date = (name) => /^\d{4}-\d{2}-\d{2}$/.test(url.searchParams.get(name) || '') ? url.searchParams.get(name) : null;
+    const { total, results } = memoryIndex.search(q, {
+      agents: (url.searchParams.get('agent') || '').split(',').filter(Boolean),
+      from: date('from'),
+      to: date('to'),
+      limit: Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 50, 1), 200),
+      offset: Math.max(parseInt(url.searchParams.get('offset'), 10) || 0, 0),
+    });
+    sendJson(res, 200, { query: q, total, results, index: memoryIndex.stats(), took: Date.now() - started });
+    return;
+  }
+
   if (path.startsWith('/api/agents/') && path.split('/').length === 4) {
     const id = path.split('/')[3];
     const state = collector.state.get(id);
@@ -1167,12 +2131,17 @@ const server = createServer((req, res) => {
 
   // ── Create Agent ──
   if (path === '/api/create-agent' && req.method === 'POST') {
+    if (!requireRole(req, res, 'admin')) return;
     let body = '';
     req.on('data', chunk => { body += chunk; });
     req.on('end', async () => {
       try {
         const data = JSON.parse(body);
-        const result = await createAgent(data);
+        const result = await createAgent(data, {
+          openclawHome: CONFIG.openclawHome,
+          updateGatewayConfig: (buildPatch) => updateLocalGatewayConfig(buildPatch, { savedBy: user.username, reason: `create agent (${data.name})` }),
+        });
+        audit(req, 'agent_created', `${data.name || '?'}: ${result.ok ? 'ok' : result.error}`);
         res.writeHead(result.ok ? 200 : 400, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(result));
         // Reload collector config if agent was created
@@ -1180,6 +2149,7 @@ const server = createServer((req, res) => {
           setTimeout(() => { try { collector.loadConfig(); } catch {} }, 2000);
         }
       } catch (e) {
+        audit(req, 'agent_created', `failed: ${e.message}`);
         res.writeHead(500, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ ok: false, error: e.message, steps: [`❌ ${e.message}`] }));
       }
@@ -1187,8 +2157,106 @@ const server = createServer((req, res) => {
     return;
   }
 
+  // ── Audit Trail ──
+  if (path === '/api/audit' && req.method === 'GET') {
+    if (!requireRole(req, res, 'admin')) return;
+    const q = url.searchParams;
+    sendJson(res, 200, readAuditLog(SECURITY_CONFIG, {
+      page: parseInt(q.get('page')) || 1,
+      pageSize: Math.min(parseInt(q.get('limit')) || 50, 200),
+      action: q.get('action') || undefined,
+      user: q.get('user') || undefined,
+      q: q.get('q') || undefined,
+    }));
+    return;
+  }
+
+  // ── Server Config (read-only) ──
+  // Effective settings after defaults and CLI overrides; edit the file and restart to change
+  if (path === '/api/config' && req.method === 'GET') {
+    if (!requireRole(req, res, 'admin')) return;
+    sendJson(res, 200, {
+      file: CONFIG_PATH,
+      loaded: CONFIG_EXISTS,
+      config: {
+        ...CONFIG,
+        port: PORT,
+        bind: BIND,
+        allowedOrigins: ALLOWED_ORIGINS,
+        tls: {
+          ...TLS_CONFIG,
+          enabled: !!TLS,
+          fingerprint: TLS?.fingerprint || null,
+          expires: TLS?.expires || null,
+        },
+        network: describePolicy(NETWORK_POLICY),
+      },
+    });
+    return;
+  }
+
+  // ── Gateway Config (admin) ──
+  // One editor per gateway, addressed by any agent it serves (?agent= / body.agent)
+  if (path === '/api/gateways' && req.method === 'GET') {
+    if (!requireRole(req, res, 'admin')) return;
+    sendJson(res, 200, [...collector.gateways.values()].map(gw => ({
+      agent: gw.agents[0]?.id,
+      host: gw.host,
+      port: gw.port,
+      online: gw.state === 'connected',
+      agents: gw.agents.map(a => a.id),
+    })));
+    return;
+  }
+
+  if (path.startsWith('/api/gateway-config')) {
+    if (!requireRole(req, res, 'admin')) return;
+    const op = path.slice('/api/gateway-config'.length);
+    const withAgent = (agentId, fn) => {
+      if (!collector.agents.has(agentId)) return sendJson(res, 404, { ok: false, error: 'Agent not found' });
+      if (!gatewayFor(agentId)) return sendJson(res, 404, { ok: false, error: `No gateway for ${agentId}` });
+      fn().catch(e => sendJson(res, 502, { ok: false, error: e.message }));
+    };
+
+    if (op === '' && req.method === 'GET') {
+      const agentId = url.searchParams.get('agent');
+      withAgent(agentId, async () => {
+        const { config, hash } = await getGatewayConfig(agentId);
+        sendJson(res, 200, {
+          agent: agentId,
+          hash,
+          config: maskSecrets(config),
+          backups: listBackups(gatewayBackupDirFor(agentId)),
+        });
+      });
+      return;
+    }
+
+    if ((op === '/preview' || op === '/apply') && req.method === 'POST') {
+      readJsonBody(req).then(body => withAgent(body.agent, async () => {
+        const { current, patch, diff, errors } = await prepareGatewayEdit(body.agent, body);
+        if (op === '/preview' || errors.length) {
+          return sendJson(res, errors.length && op === '/apply' ? 400 : 200, { ok: !errors.length, errors, diff, changed: patch !== undefined });
+        }
+        if (body.baseHash && current.hash && body.baseHash !== current.hash) {
+          return sendJson(res, 409, { ok: false, error: 'The gateway config changed since you loaded it — reload and try again' });
+        }
+        if (patch === undefined) return sendJson(res, 400, { ok: false, error: 'Nothing to change' });
+        const what = body.backup !== undefined ? `rollback to ${body.backup}` : `section "${body.section}"`;
+        const backup = await patchGatewayConfig(body.agent, current, patch, { savedBy: getRequestUser(req)?.username, reason: what });
+        audit(req, body.backup !== undefined ? 'gateway_config_rollback' : 'gateway_config_changed', `${body.agent}'s gateway: ${what} (backup ${backup})`);
+        sendJson(res, 200, { ok: true, backup });
+      })).catch(e => sendJson(res, 400, { ok: false, error: e.message }));
+      return;
+    }
+
+    sendJson(res, 404, { ok: false, error: 'Not found' });
+    return;
+  }
+
   // ── Security Audit ──
   if (path === '/api/security-audit' && req.method === 'GET') {
+    if (!requireRole(req, res, 'admin')) return;
     try {
       const result = runSecurityAudit();
       res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -1298,8 +2366,251 @@ const server = createServer((req, res) => {
       res.end(JSON.stringify({ error: 'Agent not found' }));
       return;
     }
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(result));
+    // Schedule comes from the agent's gateway; null when it can't be reached
+    getHeartbeatSchedule(agentId).then(heartbeatSchedule => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ...result, heartbeatSchedule }));
+    });
+    return;
+  }
+
+  // ── Daily Notes ──
+  // GET /api/agents/:id/notes        every memory/YYYY-MM-DD.md with word counts
+  // GET /api/agents/:id/notes/:date  one day's note
+  if (path.startsWith('/api/agents/') && path.split('/')[4] === 'notes' && req.method === 'GET') {
+    const [, , , agentId, , date] = path.split('/');
+    const workspace = collector.config?.agents?.find(a => a.id === agentId)?.workspace;
+    if (!workspace) {
+      sendJson(res, 404, { ok: false, error: 'Agent not found' });
+      return;
+    }
+    if (!date) {
+      sendJson(res, 200, { notes: listDailyNotes(workspace) });
+      return;
+    }
+    const note = readDailyNote(workspace, date);
+    if (!note) sendJson(res, 404, { ok: false, error: `No note for ${date}` });
+    else sendJson(res, 200, note);
+    return;
+  }
+
+  // ── Skills ──
+  // GET    /api/skills                    every agent's skills (+ library)
+  // GET    /api/skills/matrix             skill × agent matrix with drift and missing essentials
+  // POST   /api/skills/sync               { skill, from, to: [agentId] } (operator)
+  // GET    /api/agents/:id/skills         skills with requirement checks, installable skills
+  // POST   /api/agents/:id/skills         { skill, from: 'library' | agentId, overwrite } (operator)
+  // DELETE /api/agents/:id/skills/:name   (operator)
+  if (path === '/api/skills' && req.method === 'GET') {
+    sendJson(res, 200, fleetSkills());
+    return;
+  }
+
+  if (path === '/api/skills/matrix' && req.method === 'GET') {
+    sendJson(res, 200, skillMatrix(fleetSkills(), CONFIG.skills));
+    return;
+  }
+
+  // Copies one skill from a source agent (or the library) over every target's copy
+  if (path === '/api/skills/sync' && req.method === 'POST') {
+    if (!requireRole(req, res, 'operator')) return;
+    readJsonBody(req).then(({ skill, from, to }) => {
+      if (!isSkillName(skill)) { sendJson(res, 400, { ok: false, error: 'Invalid skill name' }); return; }
+      const sourceDir = skillSourceDir(from);
+      if (!sourceDir) { sendJson(res, 400, { ok: false, error: from === 'library' ? 'No skill library configured (skillLibrary)' : `Unknown source: ${from}` }); return; }
+      const targets = (Array.isArray(to) ? [...new Set(to)] : []).filter(id => id !== from);
+      if (!targets.length) { sendJson(res, 400, { ok: false, error: 'Pick at least one agent to sync to' }); return; }
+      const results = targets.map(agentId => {
+        const workspace = collector.config?.agents?.find(a => a.id === agentId)?.workspace;
+        if (!workspace) return { agentId, ok: false, error: 'Agent not found' };
+        const result = installSkill(sourceDir, join(workspace, 'skills'), skill, { overwrite: true, backupDir: skillBackupDir(agentId) });
+        return { agentId, ...result };
+      });
+      const synced = results.filter(r => r.ok).map(r => r.agentId);
+      const failed = results.filter(r => !r.ok);
+      if (synced.length) audit(req, 'skill_synced', `${skill} from ${from} → ${synced.join(', ')}`);
+      sendJson(res, 200, {
+        ok: !failed.length,
+        message: `${skill} synced to ${synced.length} agent${synced.length === 1 ? '' : 's'}`,
+        error: failed.length ? failed.map(r => `${r.agentId}: ${r.error}`).join('; ') : undefined,
+        results,
+      });
+    }).catch(() => sendJson(res, 400, { ok: false, error: 'Bad request' }));
+    return;
+  }
+
+  if (path.startsWith('/api/agents/') && path.split('/')[4] === 'skills') {
+    const [, , , agentId, , rawName] = path.split('/');
+    const workspace = collector.config?.agents?.find(a => a.id === agentId)?.workspace;
+    if (!workspace) {
+      sendJson(res, 404, { ok: false, error: 'Agent not found' });
+      return;
+    }
+    const skillsDir = join(workspace, 'skills');
+    const backupDir = skillBackupDir(agentId);
+
+    if (!rawName && req.method === 'GET') {
+      sendJson(res, 200, agentSkills(agentId));
+      return;
+    }
+    if (!rawName && req.method === 'POST') {
+      if (!requireRole(req, res, 'operator')) return;
+      readJsonBody(req).then(({ skill, from, overwrite }) => {
+        if (!isSkillName(skill)) { sendJson(res, 400, { ok: false, error: 'Invalid skill name' }); return; }
+        if (from === agentId) { sendJson(res, 400, { ok: false, error: 'Pick another agent or the library as the source' }); return; }
+        const sourceDir = skillSourceDir(from);
+        if (!sourceDir) { sendJson(res, 400, { ok: false, error: from === 'library' ? 'No skill library configured (skillLibrary)' : `Unknown source: ${from}` }); return; }
+        const result = installSkill(sourceDir, skillsDir, skill, { overwrite: !!overwrite, backupDir });
+        if (!result.ok) { sendJson(res, 400, result); return; }
+        audit(req, 'skill_installed', `${agentId}: ${skill} from ${from}${result.backup ? ` (replaced, backup ${result.backup})` : ''}`);
+        sendJson(res, 200, { ok: true, message: `${skill} ${result.backup ? 'updated' : 'installed'} from ${from}`, backup: result.backup });
+      }).catch(() => sendJson(res, 400, { ok: false, error: 'Bad request' }));
+      return;
+    }
+    if (rawName && req.method === 'DELETE') {
+      if (!requireRole(req, res, 'operator')) return;
+      const name = decodeURIComponent(rawName);
+      const result = removeSkill(skillsDir, name, { backupDir });
+      if (!result.ok) { sendJson(res, 404, result); return; }
+      audit(req, 'skill_removed', `${agentId}: ${name} (backup ${result.backup})`);
+      sendJson(res, 200, { ok: true, message: `${name} removed`, backup: result.backup });
+      return;
+    }
+  }
+
+  // ── Task Board ──
+  // GET  /api/tasks              open tasks (Inbox, In Progress) across the fleet
+  // GET  /api/agents/:id/tasks   TASKS.md as columns, with its mtime
+  // POST /api/agents/:id/tasks   { columns, baseMtime } (operator)
+  if (path === '/api/tasks' && req.method === 'GET') {
+    const agents = (collector.config?.agents || []).filter(a => a.workspace).map(a => {
+      const file = readWorkspaceFile(a.workspace, 'TASKS.md');
+      const { columns } = parseTasks(file.content);
+      const open = (column) => columns[column].filter(t => !t.checked).map(({ text, notes }) => ({ text, notes }));
+      return { id: a.id, name: a.name || a.id, emoji: a.emoji || '', exists: file.exists, mtime: file.mtime, inbox: open('inbox'), progress: open('progress'), done: columns.done.length };
+    });
+    sendJson(res, 200, { agents });
+    return;
+  }
+
+  if (path.startsWith('/api/agents/') && path.split('/')[4] === 'tasks' && !path.split('/')[5]) {
+    const agentId = path.split('/')[3];
+    const workspace = collector.config?.agents?.find(a => a.id === agentId)?.workspace;
+    if (!workspace) {
+      sendJson(res, 404, { ok: false, error: 'Agent not found' });
+      return;
+    }
+    if (req.method === 'GET') {
+      const file = readWorkspaceFile(workspace, 'TASKS.md');
+      sendJson(res, 200, { exists: file.exists, mtime: file.mtime, columns: parseTasks(file.content).columns });
+      return;
+    }
+    if (req.method === 'POST') {
+      if (!requireRole(req, res, 'operator')) return;
+      readJsonBody(req).then(({ columns, baseMtime }) => {
+        const current = readWorkspaceFile(workspace, 'TASKS.md');
+        const result = current.mtime === (baseMtime ?? null)
+          ? saveWorkspaceFile(workspace, 'TASKS.md', applyBoard(current.content, columns), {
+            baseMtime, versionsDir: fileVersionsDir(WORKSPACE_VERSIONS_DIR, agentId, 'TASKS.md'), savedBy: getRequestUser(req)?.username,
+          })
+          : { conflict: true, mtime: current.mtime };
+        if (result.conflict) {
+          sendJson(res, 409, { ok: false, error: 'TASKS.md changed since you loaded the board', mtime: result.mtime });
+          return;
+        }
+        const saved = parseTasks(readWorkspaceFile(workspace, 'TASKS.md').content).columns;
+        audit(req, 'tasks_updated', `${agentId}: ${saved.inbox.length} inbox, ${saved.progress.length} in progress, ${saved.done.length} done`);
+        sendJson(res, 200, { ok: true, message: 'Tasks saved', mtime: result.mtime, columns: saved });
+      }).catch(e => sendJson(res, 400, { ok: false, error: e.message }));
+      return;
+    }
+  }
+
+  // ── Workspace Files ──
+  // GET  /api/agents/:id/files/:name                     full content, mtime, versions
+  // POST /api/agents/:id/files/:name                     { content, baseMtime } (operator)
+  // GET  /api/agents/:id/files/:name/versions/:version   a snapshot's content
+  // GET  /api/agents/:id/files/:name/diff?from=&to=      version names or "current"
+  // POST /api/agents/:id/files/:name/diff                { from, content } — unsaved edits
+  if (path.startsWith('/api/agents/') && path.split('/')[4] === 'files') {
+    const [, , , agentId, , rawName, op, version] = path.split('/');
+    const workspace = collector.config?.agents?.find(a => a.id === agentId)?.workspace;
+    const name = rawName && decodeURIComponent(rawName);
+    if (!workspace) {
+      sendJson(res, 404, { ok: false, error: 'Agent not found' });
+      return;
+    }
+    if (!isEditableFile(name)) {
+      sendJson(res, 404, { ok: false, error: 'Not an editable workspace file' });
+      return;
+    }
+    const versionsDir = fileVersionsDir(WORKSPACE_VERSIONS_DIR, agentId, name);
+
+    if (!op && req.method === 'GET') {
+      sendJson(res, 200, { ...readWorkspaceFile(workspace, name), versions: listVersions(versionsDir) });
+      return;
+    }
+    if (!op && req.method === 'POST') {
+      if (!requireRole(req, res, 'operator')) return;
+      readJsonBody(req).then(body => {
+        const username = getRequestUser(req)?.username;
+        const result = saveWorkspaceFile(workspace, name, body.content, { baseMtime: body.baseMtime, versionsDir, savedBy: username });
+        if (result.conflict) {
+          sendJson(res, 409, { ok: false, error: 'The file changed since you opened it — reload to see the new version', mtime: result.mtime });
+          return;
+        }
+        audit(req, 'workspace_file_saved', `${agentId}: ${name}${result.version ? ` (previous version ${result.version})` : ' (new file)'}`);
+        sendJson(res, 200, { ok: true, message: `Saved ${name}`, ...result });
+      }).catch(e => sendJson(res, 400, { ok: false, error: e.message }));
+      return;
+    }
+    if (op === 'versions' && version && req.method === 'GET') {
+      const content = readVersion(versionsDir, decodeURIComponent(version));
+      if (content === null) sendJson(res, 404, { ok: false, error: 'Version not found' });
+      else sendJson(res, 200, { name: decodeURIComponent(version), content });
+      return;
+    }
+    if (op === 'diff' && (req.method === 'GET' || req.method === 'POST')) {
+      const contentOf = (v) => !v || v === 'current' ? readWorkspaceFile(workspace, name).content : readVersion(versionsDir, v);
+      const send = (from, to) => {
+        if (from === null || to === null) sendJson(res, 404, { ok: false, error: 'Version not found' });
+        else sendJson(res, 200, { diff: diffText(from, to), changed: from !== to });
+      };
+      // POST { from, content } diffs unsaved editor content
+      if (req.method === 'GET') send(contentOf(url.searchParams.get('from')), contentOf(url.searchParams.get('to')));
+      else readJsonBody(req).then(body => send(contentOf(body.from), typeof body.content === 'string' ? body.content : null))
+        .catch(e => sendJson(res, 400, { ok: false, error: e.message }));
+      return;
+    }
+    sendJson(res, 404, { ok: false, error: 'Not found' });
+    return;
+  }
+
+  // ── Agent Model ──
+  // Current model + options from the gateway config, switch history from
+  // transcripts, and what the last MODEL_ESTIMATE_DAYS of tokens would
+  // have cost on each option
+  if (path.startsWith('/api/agents/') && path.endsWith('/model') && path.split('/').length === 5 && req.method === 'GET') {
+    const agentId = path.split('/')[3];
+    if (!collector.agents.has(agentId)) {
+      sendJson(res, 404, { ok: false, error: 'Agent not found' });
+      return;
+    }
+    const instance = analyticsInstanceFor(agentId);
+    const usage = instance ? getTokenAnalytics(String(MODEL_ESTIMATE_DAYS), instance).byAgent[0] || null : null;
+    const history = getModelHistory(agentId);
+    getGatewayConfig(agentId).then(({ config }) => {
+      const current = resolveModel(config, gatewayAgentIdFor(agentId));
+      const options = modelOptions(config);
+      if (current.model && !options.includes(current.model)) options.unshift(current.model);
+      sendJson(res, 200, {
+        ...current,
+        options,
+        history,
+        usage: usage && { days: MODEL_ESTIMATE_DAYS, ...usage },
+        estimates: usage ? options.map(model => ({ model, cost: estimateCost(usage, model) })) : [],
+      });
+    }).catch(e => sendJson(res, 502, { ok: false, error: e.message, history }));
     return;
   }
 
@@ -1317,13 +2628,17 @@ const server = createServer((req, res) => {
 
   // ── Agent Actions (stop/start/reset) ──
   if (path.startsWith('/api/agents/') && path.endsWith('/action') && req.method === 'POST') {
+    if (!requireRole(req, res, 'operator')) return;
     const agentId = path.split('/')[3];
     let body = '';
     req.on('data', chunk => { body += chunk; });
     req.on('end', async () => {
       try {
-        const { action } = JSON.parse(body);
-        const result = await handleAgentAction(agentId, action);
+        const { action, ...params } = JSON.parse(body);
+        if (!requireRole(req, res, ACTION_ROLES[action] || 'operator')) return;
+        const result = await handleAgentAction(agentId, action, params, getRequestUser(req)?.username);
+        const detail = Object.keys(params).length ? ` ${JSON.stringify(params)}` : '';
+        audit(req, 'agent_action', `${agentId}: ${action}${detail} — ${result.ok ? 'ok' : result.error}`);
         res.writeHead(result.ok ? 200 : 400, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(result));
       } catch (e) {
@@ -1334,6 +2649,178 @@ const server = createServer((req, res) => {
     return;
   }
 
+  // ── Action History ──
+  // GET /api/agents/:id/history?limit=, POST /api/agents/:id/history/:entryId/undo
+  if (path.startsWith('/api/agents/') && path.split('/')[4] === 'history') {
+    const [, , , agentId, , entryId, op] = path.split('/');
+    if (!entryId && req.method === 'GET') {
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 100, 1), 500);
+      sendJson(res, 200, { entries: history.list(agentId, limit).map(e => publicEntry(e, history.undoBlocker(e))) });
+      return;
+    }
+    if (entryId && op === 'undo' && req.method === 'POST') {
+      const entry = history.get(entryId);
+      if (!entry || entry.agentId !== agentId) {
+        sendJson(res, 404, { ok: false, error: 'History entry not found' });
+        return;
+      }
+      if (!requireRole(req, res, ACTION_ROLES[entry.action] || 'operator')) return;
+      const blocker = history.undoBlocker(entry);
+      if (blocker) {
+        sendJson(res, 409, { ok: false, error: blocker });
+        return;
+      }
+      undoAgentAction(entry, getRequestUser(req)?.username).then(result => {
+        audit(req, 'agent_action_undone', `${agentId}: ${entry.action} from ${new Date(entry.at).toISOString()} — ${result.ok ? 'ok' : result.error}`);
+        sendJson(res, result.ok ? 200 : 400, result);
+      });
+      return;
+    }
+    sendJson(res, 404, { ok: false, error: 'Not found' });
+    return;
+  }
+
+  // ── Bulk Actions ──
+  // Body: { action, agents: [ids], ...params }. Browsers asking for
+  // text/event-stream get a result event per agent as it finishes, then done;
+  // everyone else gets the whole report as JSON.
+  if (path === '/api/fleet/action' && req.method === 'POST') {
+    if (!requireRole(req, res, 'operator')) return;
+    readJsonBody(req).then(async body => {
+      const { action, agents, ...params } = body;
+      if (!BULK_ACTIONS.includes(action)) {
+        return sendJson(res, 400, { ok: false, error: `Bulk action must be one of: ${BULK_ACTIONS.join(', ')}` });
+      }
+      if (!requireRole(req, res, ACTION_ROLES[action] || 'operator')) return;
+      const agentIds = [...new Set(Array.isArray(agents) ? agents.map(String) : [])];
+      if (!agentIds.length) return sendJson(res, 400, { ok: false, error: 'Select at least one agent' });
+
+      const stream = (req.headers.accept || '').includes('text/event-stream');
+      const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+      if (stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+        send({ type: 'start', action, agents: agentIds });
+      }
+
+      const detail = Object.keys(params).length ? ` ${JSON.stringify(params)}` : '';
+      const results = await runBulkAction(agentIds, action, params, getRequestUser(req)?.username, (result) => {
+        audit(req, 'agent_action', `${result.agentId}: ${action}${detail} (bulk) — ${result.ok ? 'ok' : result.error}`);
+        if (stream) send({ type: 'result', ...result });
+      });
+      const succeeded = results.filter(r => r.ok).length;
+      const report = { ok: succeeded === results.length, action, succeeded, failed: results.length - succeeded, results };
+      audit(req, 'bulk_action', `${action} on ${agentIds.length} agent(s): ${succeeded} ok, ${report.failed} failed`);
+      if (stream) {
+        send({ type: 'done', ...report });
+        res.end();
+      } else {
+        sendJson(res, 200, report);
+      }
+    }).catch(e => {
+      if (res.headersSent) res.end();
+      else sendJson(res, 400, { ok: false, error: e.message });
+    });
+    return;
+  }
+
+  // ── Chat ──
+  // Body: { session: 'main' | 'new' | <session key>, message }. The reply is
+  // streamed back as SSE on this response: delta… then final (or error).
+  if (path.startsWith('/api/agents/') && path.endsWith('/chat') && req.method === 'POST') {
+    if (!requireRole(req, res, 'operator')) return;
+    const agentId = path.split('/')[3];
+    if (!collector.agents.has(agentId)) {
+      sendJson(res, 404, { ok: false, error: 'Agent not found' });
+      return;
+    }
+    readJsonBody(req).then(body => {
+      const message = String(body.message || '').trim();
+      if (!message) return sendJson(res, 400, { ok: false, error: 'Message is required' });
+      if (message.length > CHAT_MAX_CHARS) return sendJson(res, 400, { ok: false, error: `Message is longer than ${CHAT_MAX_CHARS} characters` });
+
+      const gatewayId = gatewayAgentIdFor(agentId);
+      const session = body.session || 'main';
+      const sessionKey = session === 'main' ? `agent:${gatewayId}:main`
+        : session === 'new' ? `agent:${gatewayId}:dashboard:${randomUUID().slice(0, 8)}`
+        : session;
+      if (!sessionKey.startsWith(`agent:${gatewayId}:`)) {
+        return sendJson(res, 400, { ok: false, error: 'Session belongs to another agent' });
+      }
+      audit(req, 'agent_chat', `${agentId} → ${sessionKey}: ${message.slice(0, 100)}${message.length > 100 ? '…' : ''}`);
+
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+      const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+      send({ type: 'start', sessionKey });
+
+      // Stop relaying if the browser goes away (the agent's run continues)
+      const abort = new AbortController();
+      res.on('close', () => abort.abort());
+
+      collector.chatAgent(agentId, { sessionKey, message, idempotencyKey: randomUUID() }, (ev) => {
+        const content = ev.message?.content;
+        const text = typeof content === 'string' ? content : (content || []).filter(c => c.type === 'text').map(c => c.text).join('');
+        send({ type: ev.state, text, error: ev.errorMessage || null });
+      }, { signal: abort.signal })
+        .catch(e => { if (!abort.signal.aborted) send({ type: 'error', error: e.message }); })
+        .finally(() => res.end());
+    }).catch(e => sendJson(res, 400, { ok: false, error: e.message }));
+    return;
+  }
+
+  // ── Session Archives (archived transcripts, sessions.json backups) ──
+  // Read from the local gateway's sessions dir; remote agents have none here
+  if (path.startsWith('/api/agents/') && path.split('/')[4] === 'archives') {
+    const [, , , agentId, , rawName, op] = path.split('/');
+    if (!collector.agents.has(agentId)) {
+      sendJson(res, 404, { ok: false, error: 'Agent not found' });
+      return;
+    }
+    const dir = agentSessionsDir(agentId);
+    const gatewayId = gatewayAgentIdFor(agentId);
+    const name = rawName && decodeURIComponent(rawName);
+
+    if (!name && req.method === 'GET') {
+      sendJson(res, 200, { dir, available: existsSync(dir), archives: listArchives(dir, gatewayId) });
+      return;
+    }
+    if (name === 'purge' && !op && req.method === 'POST') {
+      if (!requireRole(req, res, 'admin')) return;
+      readJsonBody(req).then(body => {
+        const purged = purgeArchives(dir, gatewayId, {
+          names: body.names,
+          olderThanDays: body.olderThanDays === undefined ? undefined : Number(body.olderThanDays),
+        });
+        audit(req, 'archive_purged', `${agentId}: ${purged.length} file(s)${purged.length ? ` — ${purged.join(', ')}` : ''}`);
+        sendJson(res, 200, { ok: true, purged, message: `Purged ${purged.length} archive${purged.length === 1 ? '' : 's'}` });
+      }).catch(e => sendJson(res, 400, { ok: false, error: e.message }));
+      return;
+    }
+    const file = name && archivePath(dir, name);
+    if (!file) {
+      sendJson(res, 404, { ok: false, error: 'Archive not found' });
+      return;
+    }
+    if (op === 'trace' && req.method === 'GET') {
+      const parsed = file.endsWith('.jsonl') && parseTranscript(file);
+      if (!parsed) { sendJson(res, 400, { ok: false, error: 'Not a readable transcript' }); return; }
+      sendJson(res, 200, { sessionKey: name, agentId, archive: name, ...parsed });
+      return;
+    }
+    if (op === 'restore' && req.method === 'POST') {
+      if (!requireRole(req, res, 'operator')) return;
+      const blocked = restoreBlocked(agentId);
+      if (blocked) { sendJson(res, 409, { ok: false, error: blocked }); return; }
+      try {
+        const { sessionId } = restoreArchive(dir, gatewayId, name);
+        audit(req, 'archive_restored', `${agentId}: ${name} → main session ${sessionId}`);
+        sendJson(res, 200, { ok: true, message: `Restored ${name} as the main session for ${agentId}. The current session was archived.` });
+      } catch (e) {
+        sendJson(res, 400, { ok: false, error: e.message });
+      }
+      return;
+    }
+  }
+
   if (path === '/api/host') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(collector.hostMetrics));
@@ -1356,10 +2843,16 @@ const server = createServer((req, res) => {
 
   // ── Static Files ──
 
-  let filePath = path === '/' ? '/dashboard.html' : path;
+  if (ADMIN_PAGES.includes(path) && !hasRole(user, 'admin')) {
+    res.writeHead(302, { Location: '/' });
+    res.end();
+    return;
+  }
+
+  const filePath = path === '/' ? '/dashboard.html' : path;
   const fullPath = join(DIR, filePath);
 
-  if (!fullPath.startsWith(DIR) || !existsSync(fullPath)) {
+  if (!STATIC_FILES.includes(filePath) || !existsSync(fullPath)) {
     res.writeHead(404);
     res.end('Not found');
     return;
@@ -1397,7 +2890,9 @@ const server = createServer((req, res) => {
     res.writeHead(500);
     res.end('Error');
   }
-});
+};
+
+const server = TLS ? https.createServer({ cert: TLS.cert, key: TLS.key }, handleRequest) : createServer(handleRequest);
 
 // ── Login Page HTML ──
 const LOGIN_HTML = `<!DOCTYPE html>
@@ -1433,7 +2928,9 @@ const LOGIN_HTML = `<!DOCTYPE html>
   <h1><i data-lucide="castle" style="width:2rem;height:2rem;display:inline-block;vertical-align:middle"></i></h1>
   <p class="sub">Ven Agents</p>
   <form onsubmit="login(event)">
+    <input type="text" id="user" placeholder="Username" value="admin" autocomplete="username" autocapitalize="off">
     <input type="password" id="pw" placeholder="Password" autofocus autocomplete="current-password">
+    <input type="text" id="code" placeholder="Authentication code" autocomplete="one-time-code" inputmode="numeric" style="display:none">
     <div class="error" id="err"></div>
     <button type="submit" id="btn">Enter</button>
   </form>
@@ -1441,7 +2938,10 @@ const LOGIN_HTML = `<!DOCTYPE html>
 <script>
 async function login(e) {
   e.preventDefault();
+  const username = document.getElementById('user').value.trim();
   const pw = document.getElementById('pw').value;
+  const codeInput = document.getElementById('code');
+  const code = codeInput.value.trim() || undefined;
   const btn = document.getElementById('btn');
   const err = document.getElementById('err');
   btn.disabled = true; err.textContent = '';
@@ -1449,13 +2949,21 @@ async function login(e) {
     const res = await fetch('/api/login', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ password: pw }),
+      body: JSON.stringify({ username, password: pw, code }),
     });
     const data = await res.json();
     if (data.ok) {
+      if (data.recoveryCodesLeft !== undefined) alert('Signed in with a recovery code. ' + data.recoveryCodesLeft + ' left — regenerate them from Account.');
       window.location.href = '/';
+    } else if (data.totpRequired) {
+      // Password was right; ask for the 6-digit code (or a recovery code)
+      codeInput.style.display = '';
+      codeInput.value = '';
+      codeInput.focus();
+      err.textContent = data.error;
+      btn.disabled = false;
     } else {
-      err.textContent = data.error || 'Wrong password';
+      err.textContent = data.error || 'Wrong username or password';
       btn.disabled = false;
     }
   } catch (e) {
@@ -1464,17 +2972,45 @@ async function login(e) {
   }
 }
 </script>
-<script src="https://unpkg.com/lucide@0.462.0/dist/umd/lucide.min.js"></script>
+<script src="/lucide.min.js"></script>
 <script>lucide.createIcons();</script>
 </body>
 </html>`;
 
-const BIND = process.argv.find((_, i, a) => a[i - 1] === '--bind') || '0.0.0.0';
-
 server.listen(PORT, BIND, () => {
   console.log(`🏰 Ven Agents v2.0`);
-  console.log(`   http://${BIND}:${PORT}`);
+  console.log(`   ${TLS ? 'https' : 'http'}://${BIND}:${PORT}`);
+  if (TLS) {
+    console.log(`   🔏 TLS: ${TLS.generated ? 'generated self-signed certificate' : 'certificate loaded'} (expires ${TLS.expires.toISOString().slice(0, 10)})`);
+    console.log(`      SHA-256 ${TLS.fingerprint}`);
+  }
   console.log(`   Agents: ${collector.agents.size}`);
-  console.log(`   🔐 Auth: enabled (password in auth.json)`);
-  console.log(`   🔒 Bound to ${BIND} (home network only)`);
+  console.log(`   ⚙️  Config: ${CONFIG_EXISTS ? CONFIG_PATH : `defaults (no ${CONFIG_FILENAME})`}`);
+  console.log(`   🔐 Auth: enabled (${AUTH.users.length} user(s) in ${AUTH_PATH})`);
+  const { sessions: sessRules, apiTokens: tokenRules } = describePolicy(NETWORK_POLICY);
+  if (isLoopbackBind(BIND)) console.log(`   🔒 Bound to ${BIND} (this machine only)`);
+  else if (sessRules.allow.length && tokenRules.allow.length) console.log(`   🔒 Bound to ${BIND}, limited to sessions: ${sessRules.allow.join(', ')} · API tokens: ${tokenRules.allow.join(', ')}`);
+  else console.log(`   ⚠️  Bound to ${BIND} with no IP allowlist${sessRules.allow.length ? ' for API tokens' : tokenRules.allow.length ? ' for sessions' : ''} — set "network" in clawd-control.config.json`);
 });
+
+// Plain-HTTP listener that only redirects to the HTTPS port. The Host
+// header is only kept when it names this machine, so it can't be used to
+// redirect somewhere else.
+if (TLS && TLS_CONFIG.redirectPort) {
+  const { dns, ip } = localNames();
+  const ownHosts = new Set([...dns.map(n => n.toLowerCase()), ...ip.map(a => a.includes(':') ? `[${a}]` : a)]);
+  const wildcard = ['0.0.0.0', '::', '[::]'].includes(BIND);
+  const fallbackHost = CONFIG.tls.redirectHost || (wildcard ? dns[0] : BIND.includes(':') ? `[${BIND}]` : BIND);
+  if (CONFIG.tls.redirectHost) ownHosts.add(CONFIG.tls.redirectHost.toLowerCase());
+  createServer((req, res) => {
+    let host = null;
+    try { host = new URL(`http://${req.headers.host}`).hostname; } catch {}
+    if (!ownHosts.has(host)) host = fallbackHost;
+    let target = '/';
+    try { const u = new URL(req.url, 'http://localhost'); target = u.pathname + u.search; } catch {}
+    res.writeHead(301, { Location: `https://${host}${PORT === 443 ? '' : `:${PORT}`}${target}` });
+    res.end();
+  }).listen(TLS_CONFIG.redirectPort, BIND, () => {
+    console.log(`   ↪️  http://${BIND}:${TLS_CONFIG.redirectPort} redirects to HTTPS`);
+  });
+}
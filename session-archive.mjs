@@ -0,0 +1,175 @@
+/**
+ * Ven Agents — Session Archive
+ *
+ * Archived transcripts and sessions.json backups in an agent's gateway
+ * sessions directory (~/.openclaw/agents/<id>/sessions):
+ *   <sessionId>.archived.<ts>.jsonl   — main session cleared by "New Session"
+ *   <sessionId>.deleted.<ts>.jsonl    — transcript of a deleted session
+ *   sessions.json.bak.<ts>            — session index before "Reset All"
+ *
+ * Lists them with a preview, restores one as the agent's main session, and
+ * purges old ones. Restores never overwrite anything without archiving it.
+ * A restore rewrites the gateway's own sessions.json, so it must only run
+ * while that gateway is stopped; files are replaced via a temp file and a
+ * rename so a crash can't leave half a file behind.
+ */
+
+import { readFileSync, writeFileSync, copyFileSync, renameSync, existsSync, readdirSync, statSync, unlinkSync } from 'fs';
+import { join } from 'path';
+
+const TRANSCRIPT_RE = /^(.+?)\.(archived|deleted)\.([^/]+)\.jsonl$/;
+const BACKUP_RE = /^sessions\.json\.bak\.(\d+)$/;
+const PREVIEW_CHARS = 160;
+
+// "1739462400000" or an ISO-ish stamp → ms, else null
+function parseStamp(stamp) {
+  if (/^\d{10,}$/.test(stamp)) return Number(stamp);
+  const ms = Date.parse(stamp.replace(/(\d{2})-(\d{2})-(\d{2})(\.\d+)?Z$/, '$1:$2:$3$4Z'));
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function messageText(msg) {
+  if (typeof msg.content === 'string') return msg.content;
+  return (msg.content || []).filter(c => c.type === 'text').map(c => c.text || '').join(' ');
+}
+
+// First and last user/assistant text in a transcript, plus a message count
+function transcriptPreview(file) {
+  let first = null, last = null, messages = 0;
+  try {
+    for (const line of readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.type !== 'message' || !entry.message) continue;
+        messages++;
+        const text = messageText(entry.message).replace(/\s+/g, ' ').trim();
+        if (!text) continue;
+        const item = { role: entry.message.role, text: text.slice(0, PREVIEW_CHARS), timestamp: entry.timestamp || null };
+        if (!first) first = item;
+        last = item;
+      } catch {}
+    }
+  } catch {}
+  return { firstMessage: first, lastMessage: last === first ? null : last, messages };
+}
+
+function backupPreview(file, mainKey) {
+  try {
+    const index = JSON.parse(readFileSync(file, 'utf8'));
+    const main = index[mainKey];
+    return {
+      sessions: Object.keys(index).length,
+      mainSessionId: main?.sessionId || null,
+      ...(main?.sessionFile && existsSync(main.sessionFile) ? transcriptPreview(main.sessionFile) : {}),
+    };
+  } catch {
+    return { sessions: 0, mainSessionId: null };
+  }
+}
+
+export function mainSessionKey(gatewayAgentId) {
+  return `agent:${gatewayAgentId}:main`;
+}
+
+// Returns [{ name, kind, sessionId, size, archivedAt, ...preview }], newest first
+export function listArchives(sessionsDir, gatewayAgentId) {
+  if (!existsSync(sessionsDir)) return [];
+  const archives = [];
+  for (const name of readdirSync(sessionsDir)) {
+    const transcript = name.match(TRANSCRIPT_RE);
+    const backup = !transcript && name.match(BACKUP_RE);
+    if (!transcript && !backup) continue;
+    const file = join(sessionsDir, name);
+    let st;
+    try { st = statSync(file); } catch { continue; }
+    const stamp = transcript ? transcript[3] : backup[1];
+    archives.push({
+      name,
+      kind: transcript ? 'transcript' : 'backup',
+      reason: transcript ? transcript[2] : 'reset',
+      sessionId: transcript ? transcript[1] : null,
+      size: st.size,
+      archivedAt: parseStamp(stamp) ?? st.mtimeMs,
+      ...(transcript ? transcriptPreview(file) : backupPreview(file, mainSessionKey(gatewayAgentId))),
+    });
+  }
+  return archives.sort((a, b) => b.archivedAt - a.archivedAt);
+}
+
+// Absolute path of an archive, or null if the name isn't one
+export function archivePath(sessionsDir, name) {
+  if (typeof name !== 'string' || name.includes('/') || name.includes('\\')) return null;
+  if (!TRANSCRIPT_RE.test(name) && !BACKUP_RE.test(name)) return null;
+  const file = join(sessionsDir, name);
+  return existsSync(file) ? file : null;
+}
+
+// Copies a live transcript aside the same way "New Session" does
+function archiveTranscript(file, now) {
+  if (!existsSync(file)) return null;
+  const dest = file.replace(/\.jsonl$/, `.archived.${now}.jsonl`);
+  copyFileSync(file, dest);
+  return dest;
+}
+
+// Replaces file in one step (rename is atomic within a directory)
+function replaceFile(file, write) {
+  const tmp = `${file}.tmp-${process.pid}-${Date.now()}`;
+  try {
+    write(tmp);
+    renameSync(tmp, file);
+  } catch (e) {
+    try { unlinkSync(tmp); } catch {}
+    throw e;
+  }
+}
+
+// Makes an archive the agent's main session. The current main transcript
+// and sessions.json are archived first. Returns { sessionId }.
+export function restoreArchive(sessionsDir, gatewayAgentId, name) {
+  const file = archivePath(sessionsDir, name);
+  if (!file) throw new Error('Archive not found');
+  const indexPath = join(sessionsDir, 'sessions.json');
+  const index = existsSync(indexPath) ? JSON.parse(readFileSync(indexPath, 'utf8')) : {};
+  const mainKey = mainSessionKey(gatewayAgentId);
+  const current = index[mainKey];
+  const now = Date.now();
+
+  let restored;
+  if (TRANSCRIPT_RE.test(name)) {
+    const sessionId = name.match(TRANSCRIPT_RE)[1];
+    const sessionFile = join(sessionsDir, `${sessionId}.jsonl`);
+    if (current?.sessionFile) archiveTranscript(current.sessionFile, now);
+    if (sessionFile !== current?.sessionFile) archiveTranscript(sessionFile, now);
+    replaceFile(sessionFile, tmp => copyFileSync(file, tmp));
+    restored = { sessionId, sessionFile };
+  } else {
+    const backup = JSON.parse(readFileSync(file, 'utf8'))[mainKey];
+    if (!backup?.sessionId) throw new Error('Backup has no main session');
+    if (!backup.sessionFile || !existsSync(backup.sessionFile)) throw new Error('Transcript for the backed-up main session no longer exists');
+    if (current?.sessionFile && current.sessionFile !== backup.sessionFile) archiveTranscript(current.sessionFile, now);
+    restored = { sessionId: backup.sessionId, sessionFile: backup.sessionFile };
+  }
+
+  if (existsSync(indexPath)) copyFileSync(indexPath, `${indexPath}.bak.${now}`);
+  index[mainKey] = { ...(current || {}), ...restored, updatedAt: now };
+  replaceFile(indexPath, tmp => writeFileSync(tmp, JSON.stringify(index, null, 2), 'utf8'));
+  return { sessionId: restored.sessionId };
+}
+
+// Permanently deletes archives by name, or everything older than
+// olderThanDays. Returns the names removed.
+export function purgeArchives(sessionsDir, gatewayAgentId, { names, olderThanDays } = {}) {
+  let targets;
+  if (Array.isArray(names)) {
+    targets = names.filter(n => archivePath(sessionsDir, n));
+  } else if (Number.isFinite(olderThanDays) && olderThanDays >= 0) {
+    const cutoff = Date.now() - olderThanDays * 86400000;
+    targets = listArchives(sessionsDir, gatewayAgentId).filter(a => a.archivedAt < cutoff).map(a => a.name);
+  } else {
+    throw new Error('Pass names or olderThanDays');
+  }
+  for (const name of targets) unlinkSync(join(sessionsDir, name));
+  return targets;
+}
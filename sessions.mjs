@@ -0,0 +1,159 @@
+/**
+ * Ven Agents — Dashboard Sessions
+ *
+ * Login sessions persisted to disk so a server restart doesn't log
+ * everyone out. Only a SHA-256 of each token is stored; the raw token
+ * lives in the browser cookie.
+ *
+ * Each session also has a CSRF token that the page must echo in an
+ * X-CSRF-Token header on state-changing requests. It's derived from the
+ * raw session token, so it isn't stored either. Sessions remember the client
+ * IP, user agent and last activity so users can review and revoke them.
+ * A session ends at `expires` or after `idleMs` without a request,
+ * whichever comes first.
+ */
+
+import { readFileSync, existsSync, writeFileSync } from 'fs';
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+const ACTIVITY_SAVE_MS = 60000;
+
+function tokenKey(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+function csrfFor(token) {
+  return createHmac('sha256', String(token)).update('csrf').digest('hex');
+}
+
+export class SessionStore {
+  constructor(filePath, { idleMs = 0 } = {}) {
+    this.filePath = filePath;
+    this.idleMs = idleMs;        // 0 = no idle timeout
+    this.sessions = new Map();   // sha256(token) → { username, created, expires, lastActive, ip, userAgent }
+    this._lastSave = 0;
+    this.load();
+  }
+
+  load() {
+    if (!existsSync(this.filePath)) return;
+    try {
+      const data = JSON.parse(readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+      let rewrite = false;
+      for (const [key, { csrf, ...sess }] of Object.entries(data.sessions || {})) {
+        if (csrf) rewrite = true;   // older versions stored CSRF tokens in the clear
+        if (!this.isExpired(sess, now)) this.sessions.set(key, sess);
+      }
+      if (rewrite) this.save();
+    } catch (e) {
+      console.warn(`⚠️  Failed to load sessions: ${e.message}`);
+    }
+  }
+
+  save() {
+    this._lastSave = Date.now();
+    try {
+      writeFileSync(this.filePath, JSON.stringify({ sessions: Object.fromEntries(this.sessions) }, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (e) {
+      console.error(`[sessions] Failed to save: ${e.message}`);
+    }
+  }
+
+  create(username, ttlMs, { ip = null, userAgent = null } = {}) {
+    const token = randomBytes(32).toString('hex');
+    const now = Date.now();
+    this.sessions.set(tokenKey(token), { username, created: now, expires: now + ttlMs, lastActive: now, ip, userAgent });
+    this.prune();
+    this.save();
+    return token;
+  }
+
+  // Returns the session if the token is known and unexpired
+  get(token) {
+    if (!token) return null;
+    const key = tokenKey(token);
+    const sess = this.sessions.get(key);
+    if (!sess) return null;
+    if (this.isExpired(sess)) {
+      this.sessions.delete(key);
+      this.save();
+      return null;
+    }
+    return sess;
+  }
+
+  isExpired(sess, now = Date.now()) {
+    if (now > sess.expires) return true;
+    return this.idleMs > 0 && now - (sess.lastActive || sess.created) > this.idleMs;
+  }
+
+  // Record activity; written to disk at most once a minute
+  touch(token, { ip, userAgent } = {}) {
+    const sess = this.get(token);
+    if (!sess) return;
+    sess.lastActive = Date.now();
+    if (ip) sess.ip = ip;
+    if (userAgent) sess.userAgent = userAgent;
+    if (Date.now() - this._lastSave > ACTIVITY_SAVE_MS) this.save();
+  }
+
+  // Active sessions for a user; `id` is the stored hash, never the token
+  list(username, currentToken = null) {
+    const current = currentToken ? tokenKey(currentToken) : null;
+    this.prune();
+    return [...this.sessions]
+      .filter(([, sess]) => sess.username === username)
+      .map(([key, sess]) => ({
+        id: key,
+        created: sess.created,
+        expires: sess.expires,
+        idleExpires: this.idleMs > 0 ? (sess.lastActive || sess.created) + this.idleMs : null,
+        lastActive: sess.lastActive || sess.created,
+        ip: sess.ip || null,
+        userAgent: sess.userAgent || null,
+        current: key === current,
+      }))
+      .sort((a, b) => b.lastActive - a.lastActive);
+  }
+
+  // Revoke by id (hash) — only if it belongs to `username`
+  revokeId(username, id) {
+    const sess = this.sessions.get(id);
+    if (!sess || sess.username !== username) return false;
+    this.sessions.delete(id);
+    this.save();
+    return true;
+  }
+
+  csrfToken(token) {
+    return this.get(token) ? csrfFor(token) : null;
+  }
+
+  checkCsrf(token, candidate) {
+    const expected = this.csrfToken(token);
+    if (!expected || typeof candidate !== 'string' || candidate.length !== expected.length) return false;
+    return timingSafeEqual(Buffer.from(candidate), Buffer.from(expected));
+  }
+
+  delete(token) {
+    if (this.sessions.delete(tokenKey(token))) this.save();
+  }
+
+  // Drop every session belonging to a user (optionally keeping one)
+  revokeUser(username, exceptToken = null) {
+    const keep = exceptToken ? tokenKey(exceptToken) : null;
+    let changed = false;
+    for (const [key, sess] of this.sessions) {
+      if (sess.username === username && key !== keep) { this.sessions.delete(key); changed = true; }
+    }
+    if (changed) this.save();
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, sess] of this.sessions) {
+      if (this.isExpired(sess, now)) this.sessions.delete(key);
+    }
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * Ven Agents — Skills
+ *
+ * Reading, installing and removing the skills in an agent's workspace
+ * (skills/<name>/SKILL.md plus whatever files the skill ships). SKILL.md
+ * starts with a YAML frontmatter block:
+ *
+ *   ---
+ *   name: clawd-control
+ *   version: 1.0.0
+ *   tags: [dashboard, monitoring]
+ *   requires: [web_fetch, email>=1.2]
+ *   ---
+ *
+ * requires lists other skills (optionally with a minimum version) and
+ * tools. An entry that isn't a skill anywhere in the fleet or the library
+ * is taken to be a tool, which we can't check from here.
+ *
+ * Installing copies a skill from the skill library or another agent's
+ * workspace. Removing, or installing over an existing copy, moves the old
+ * directory to skill-backups/<agent>/ in the dashboard's data dir first.
+ *
+ * Each skill carries a content hash of its files, so copies that drifted
+ * apart are spotted even when nobody bumped the version.
+ */
+
+import { readFileSync, existsSync, readdirSync, statSync, mkdirSync, cpSync, renameSync, rmSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+const SKILL_NAME_RE = /^[\w][\w.-]*$/;
+const REQUIREMENT_RE = /^([\w][\w.-]*)\s*(?:>=\s*v?([\d.]+))?$/;
+const MAX_SKILL_BYTES = 20 * 1024 * 1024;
+const MAX_BACKUPS = 5;   // per agent and skill
+const SKIP_DIRS = new Set(['node_modules', '.git']);   // not part of the skill's content
+
+export function isSkillName(name) {
+  return typeof name === 'string' && SKILL_NAME_RE.test(name);
+}
+
+function unquote(value) {
+  const m = value.match(/^(['"])(.*)\1$/);
+  return m ? m[2] : value;
+}
+
+function parseScalar(value) {
+  value = value.trim();
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map(v => unquote(v.trim())).filter(Boolean);
+  }
+  return unquote(value);
+}
+
+// The flat subset of YAML skill frontmatter uses: scalars, [inline] and
+// "- item" lists, and >/| folded text. Nested maps are skipped. Returns
+// null when the file has no frontmatter.
+export function parseFrontmatter(content) {
+  const m = content.match(/^---\r?\n([\s\S]*?)\r?\n---\s*(?:\r?\n|$)/);
+  if (!m) return null;
+  const data = {};
+  const lines = m[1].split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const kv = lines[i].match(/^([\w-]+):\s*(.*)$/);
+    if (!kv) continue;
+    const [, key, raw] = kv;
+    // Indented lines that follow belong to this key
+    const block = [];
+    while (i + 1 < lines.length && (/^\s+\S/.test(lines[i + 1]) || lines[i + 1].trim() === '')) block.push(lines[++i]);
+    if (raw && !/^[>|][+-]?$/.test(raw.trim())) data[key] = parseScalar(raw);
+    else if (block.some(l => /^\s*- /.test(l))) data[key] = block.filter(l => /^\s*- /.test(l)).map(l => parseScalar(l.replace(/^\s*- /, '')));
+    else if (raw) data[key] = block.map(l => l.trim()).join(raw.trim().startsWith('|') ? '\n' : ' ').trim();
+  }
+  return data;
+}
+
+const asList = (v) => Array.isArray(v) ? v.map(String) : typeof v === 'string' && v ? v.split(',').map(s => s.trim()).filter(Boolean) : [];
+
+// -1, 0 or 1. Missing parts count as 0 (1.2 == 1.2.0); null sorts first.
+export function compareVersions(a, b) {
+  if (!a || !b) return a ? 1 : b ? -1 : 0;
+  const pa = String(a).replace(/^v/, '').split('.').map(n => parseInt(n) || 0);
+  const pb = String(b).replace(/^v/, '').split('.').map(n => parseInt(n) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) < (pb[i] || 0) ? -1 : 1;
+  }
+  return 0;
+}
+
+// Relative paths of a skill's files, sorted
+function skillFiles(dir) {
+  const files = [];
+  const walk = (d, rel) => {
+    for (const e of readdirSync(d, { withFileTypes: true })) {
+      const path = rel ? `${rel}/${e.name}` : e.name;
+      if (e.isDirectory() && !SKIP_DIRS.has(e.name)) walk(join(d, e.name), path);
+      else if (e.isFile()) files.push(path);
+    }
+  };
+  try { walk(dir, ''); } catch {}
+  return files.sort();
+}
+
+// { files, size, modified, hash }. hash covers file names and contents.
+function dirStats(dir) {
+  let size = 0, modified = 0;
+  const hash = createHash('sha256');
+  const files = skillFiles(dir);
+  for (const path of files) {
+    try {
+      const content = readFileSync(join(dir, path));
+      size += content.length;
+      modified = Math.max(modified, statSync(join(dir, path)).mtimeMs);
+      hash.update(`${path}\0${content.length}\0`).update(content);
+    } catch {}
+  }
+  return { files: files.length, size, modified, hash: hash.digest('hex').slice(0, 12) };
+}
+
+// { name, title, description, version, author, tags, requires, files, size,
+// modified, hash, problems }. name is the directory; title the frontmatter name.
+export function readSkill(skillsDir, name) {
+  const dir = join(skillsDir, name);
+  const skill = { name, title: null, description: null, version: null, author: null, tags: [], requires: [], ...dirStats(dir), problems: [] };
+  const skillMd = join(dir, 'SKILL.md');
+  if (!existsSync(skillMd)) {
+    skill.problems.push('No SKILL.md');
+    return skill;
+  }
+  const meta = parseFrontmatter(readFileSync(skillMd, 'utf8'));
+  if (!meta) {
+    skill.problems.push('SKILL.md has no frontmatter');
+    return skill;
+  }
+  skill.title = typeof meta.name === 'string' ? meta.name : null;
+  skill.description = typeof meta.description === 'string' ? meta.description : null;
+  skill.version = meta.version != null && meta.version !== '' ? String(meta.version) : null;
+  skill.author = typeof meta.author === 'string' ? meta.author : null;
+  skill.tags = asList(meta.tags);
+  skill.requires = asList(meta.requires);
+  if (skill.title && skill.title !== name) skill.problems.push(`Frontmatter name "${skill.title}" doesn't match the directory`);
+  if (!skill.description) skill.problems.push('No description');
+  if (!skill.version) skill.problems.push('No version');
+  return skill;
+}
+
+// Skills in a skills/ directory (or the library), sorted by name
+export function listSkills(skillsDir) {
+  if (!skillsDir || !existsSync(skillsDir)) return [];
+  let names;
+  try {
+    names = readdirSync(skillsDir, { withFileTypes: true })
+      .filter(e => e.isDirectory() && !e.name.startsWith('.'))
+      .map(e => e.name);
+  } catch { return []; }
+  return names.sort().map(name => readSkill(skillsDir, name));
+}
+
+// Checks skill.requires against the skills installed alongside it.
+// knownSkills: every skill name in the fleet and library, to tell skills
+// from tools. Returns [{ requirement, name, minVersion, status, installed }]
+// with status ok | missing | outdated | tool | invalid.
+export function checkRequirements(skill, installed, knownSkills) {
+  const byName = new Map(installed.map(s => [s.name, s]));
+  return skill.requires.map(requirement => {
+    const m = requirement.match(REQUIREMENT_RE);
+    if (!m) return { requirement, name: requirement, minVersion: null, status: 'invalid', installed: null };
+    const [, name, minVersion = null] = m;
+    const have = byName.get(name);
+    let status;
+    if (have) status = minVersion && compareVersions(have.version, minVersion) < 0 ? 'outdated' : 'ok';
+    else status = knownSkills.has(name) || minVersion ? 'missing' : 'tool';
+    return { requirement, name, minVersion, status, installed: have ? have.version : null };
+  });
+}
+
+// Skill × agent view of the fleet. fleet: { library, agents } with each
+// agent's listSkills(); policy: { essential, recommended } (name → why).
+// Each skill's reference copy is the library's, else the highest version
+// (the most common content among equals). Copies are current (same
+// content), outdated (older or same version, different content) or ahead
+// (newer than the reference); missing marks essential and recommended
+// skills an agent doesn't have.
+export function skillMatrix(fleet, policy) {
+  const names = new Set([
+    ...(fleet.library?.skills || []).map(s => s.name),
+    ...fleet.agents.flatMap(a => a.skills.map(s => s.name)),
+    ...Object.keys(policy.essential),
+    ...Object.keys(policy.recommended),
+  ]);
+  const skills = [...names].sort().map(name => {
+    const libraryCopy = fleet.library?.skills.find(s => s.name === name) || null;
+    const copies = fleet.agents
+      .map(a => ({ agentId: a.id, skill: a.skills.find(s => s.name === name) }))
+      .filter(c => c.skill);
+    let reference = libraryCopy ? { from: 'library', version: libraryCopy.version, hash: libraryCopy.hash } : null;
+    if (!reference && copies.length) {
+      const count = (hash) => copies.filter(c => c.skill.hash === hash).length;
+      const best = copies.reduce((a, b) => {
+        const byVersion = compareVersions(b.skill.version, a.skill.version);
+        return byVersion > 0 || (byVersion === 0 && count(b.skill.hash) > count(a.skill.hash)) ? b : a;
+      });
+      reference = { from: best.agentId, version: best.skill.version, hash: best.skill.hash };
+    }
+    const level = name in policy.essential ? 'essential' : name in policy.recommended ? 'recommended' : null;
+    const cells = {};
+    for (const a of fleet.agents) {
+      const skill = copies.find(c => c.agentId === a.id)?.skill;
+      let status;
+      if (!skill) status = level ? 'missing' : null;
+      else if (skill.hash === reference.hash) status = 'current';
+      else status = compareVersions(skill.version, reference.version) > 0 ? 'ahead' : 'outdated';
+      cells[a.id] = skill ? { version: skill.version, hash: skill.hash, status, problems: skill.problems } : { status };
+    }
+    return {
+      name,
+      level,
+      reason: policy.essential[name] || policy.recommended[name] || null,
+      description: libraryCopy?.description || copies[0]?.skill.description || null,
+      reference,
+      library: libraryCopy ? { version: libraryCopy.version, hash: libraryCopy.hash } : null,
+      cells,
+    };
+  });
+  const cellsOf = (status) => skills.reduce((n, s) => n + Object.values(s.cells).filter(c => c.status === status).length, 0);
+  return {
+    agents: fleet.agents.map(({ id, name, emoji }) => ({ id, name, emoji })),
+    library: fleet.library ? fleet.library.path : null,
+    skills,
+    summary: {
+      skills: skills.length,
+      missingEssential: skills.filter(s => s.level === 'essential').reduce((n, s) => n + Object.values(s.cells).filter(c => c.status === 'missing').length, 0),
+      outdated: cellsOf('outdated'),
+      ahead: cellsOf('ahead'),
+    },
+  };
+}
+
+// Moves a directory, copying when source and target are on different
+// filesystems (workspaces often live elsewhere than the dashboard).
+function moveDir(from, to) {
+  try {
+    renameSync(from, to);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    cpSync(from, to, { recursive: true });
+    rmSync(from, { recursive: true, force: true });
+  }
+}
+
+// Moves skillsDir/name to backupDir/<name>-<ts>, keeping the newest
+// MAX_BACKUPS per skill. Returns the backup's directory name.
+function backupSkill(skillsDir, name, backupDir) {
+  mkdirSync(backupDir, { recursive: true, mode: 0o700 });
+  let ts = Date.now();
+  while (existsSync(join(backupDir, `${name}-${ts}`))) ts++;
+  const backup = `${name}-${ts}`;
+  moveDir(join(skillsDir, name), join(backupDir, backup));
+  const re = new RegExp(`^${name.replace(/[.]/g, '\\.')}-(\\d+)$`);
+  const old = readdirSync(backupDir).filter(n => re.test(n)).sort((a, b) => Number(b.match(re)[1]) - Number(a.match(re)[1]));
+  for (const n of old.slice(MAX_BACKUPS)) {
+    try { rmSync(join(backupDir, n), { recursive: true, force: true }); } catch {}
+  }
+  return backup;
+}
+
+// Copies sourceDir/name into skillsDir. Returns { ok, backup }, or
+// { ok: false, error }; an existing copy is only replaced with overwrite.
+export function installSkill(sourceDir, skillsDir, name, { overwrite = false, backupDir }) {
+  if (!isSkillName(name)) return { ok: false, error: 'Invalid skill name' };
+  const source = join(sourceDir, name);
+  if (!existsSync(join(source, 'SKILL.md'))) return { ok: false, error: `${name} not found in the source (no SKILL.md)` };
+  if (dirStats(source).size > MAX_SKILL_BYTES) return { ok: false, error: 'Skill is too large (20 MB max)' };
+  const target = join(skillsDir, name);
+  if (source === target) return { ok: false, error: 'Source and target are the same' };
+  const exists = existsSync(target);
+  if (exists && !overwrite) return { ok: false, error: `${name} is already installed` };
+
+  mkdirSync(skillsDir, { recursive: true });
+  // Copy next to the target first so a failed copy leaves the old one alone
+  const tmp = join(skillsDir, `.${name}.${process.pid}.tmp`);
+  rmSync(tmp, { recursive: true, force: true });
+  try {
+    cpSync(source, tmp, { recursive: true });
+  } catch (e) {
+    rmSync(tmp, { recursive: true, force: true });
+    return { ok: false, error: `Copy failed: ${e.message}` };
+  }
+  const backup = exists ? backupSkill(skillsDir, name, backupDir) : null;
+  renameSync(tmp, target);
+  return { ok: true, backup };
+}
+
+// Moves an installed skill to the backups. Returns { ok, backup } or { ok: false, error }.
+export function removeSkill(skillsDir, name, { backupDir }) {
+  if (!isSkillName(name) || !existsSync(join(skillsDir, name))) return { ok: false, error: `${name} is not installed` };
+  return { ok: true, backup: backupSkill(skillsDir, name, backupDir) };
+}
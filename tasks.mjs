@@ -0,0 +1,180 @@
+/**
+ * Ven Agents — Task Board
+ *
+ * TASKS.md as a kanban board. The Inbox, In Progress and Done sections
+ * (## headings, a few common aliases accepted) become columns of tasks:
+ *
+ *   ## Inbox
+ *   - [ ] Write the weekly report
+ *     - indented lines stay with the task above
+ *
+ * Each task remembers the line it came from. Writing a board back only
+ * touches task lines: tasks left where they were keep their lines as
+ * written, and moved or new ones go in next to their neighbours. Titles,
+ * other sections, ### sub-headings, notes between tasks and blank lines
+ * stay where they are.
+ */
+
+export const COLUMNS = ['inbox', 'progress', 'done'];
+
+const HEADINGS = { inbox: 'Inbox', progress: 'In Progress', done: 'Done' };
+const ALIASES = {
+  inbox: ['inbox', 'todo', 'to do', 'backlog'],
+  progress: ['in progress', 'doing', 'active'],
+  done: ['done', 'completed'],
+};
+
+const HEADING_RE = /^##\s+(.+?)\s*#*\s*$/;
+const TASK_RE = /^([-*])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+const NOTE_RE = /^\s+\S/;
+
+function columnFor(heading) {
+  const name = heading.toLowerCase().replace(/[^\w ]/g, '').trim();
+  return COLUMNS.find(c => ALIASES[c].includes(name)) || null;
+}
+
+// { lines, sections, columns }. sections are the board's sections in the
+// file: { column, start, end, tasks } with start/end as line indexes, and
+// each task spans lines [line, end). columns: column → [{ text, checked,
+// checkbox, bullet, notes, line }].
+export function parseTasks(content) {
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+  const sections = [];
+  let section = null;
+  let task = null;
+  lines.forEach((line, i) => {
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      if (section) section.end = i;
+      const column = columnFor(heading[1]);
+      // A second section for the same column stays plain text
+      section = column && !sections.some(s => s.column === column) ? { column, start: i, end: lines.length, tasks: [] } : null;
+      if (section) sections.push(section);
+      task = null;
+      return;
+    }
+    if (!section) return;
+
+    const match = line.match(TASK_RE);
+    if (match) {
+      task = { text: match[3].trim(), checked: !!match[2] && match[2] !== ' ', checkbox: match[2] !== undefined, bullet: match[1], notes: [], line: i, end: i + 1 };
+      section.tasks.push(task);
+    } else if (task && NOTE_RE.test(line) && lines.slice(task.end, i).every(l => !l.trim())) {
+      // Indented lines under a task are its notes, blank lines between them included
+      task.notes.push(line);
+      task.end = i + 1;
+    } else if (line.trim()) {
+      task = null;
+    }
+  });
+  const columns = Object.fromEntries(COLUMNS.map(c => [c,
+    (sections.find(s => s.column === c)?.tasks || []).map(({ end, ...t }) => t)]));
+  return { lines, sections, columns };
+}
+
+function taskLines(task) {
+  const box = task.checkbox ? `[${task.checked ? 'x' : ' '}] ` : '';
+  return [`${task.bullet} ${box}${task.text}`, ...task.notes];
+}
+
+// Cleans up tasks sent by the dashboard: single-line text, indented notes
+function normalizeTask(task) {
+  const text = String(task?.text ?? '').replace(/\s*\n\s*/g, ' ').trim();
+  if (!text) return null;
+  const notes = (Array.isArray(task.notes) ? task.notes : [])
+    .map(String).filter(n => n.trim())
+    .map(n => /^\s/.test(n) ? n : `  ${n}`);
+  return { text, checked: !!task.checked, checkbox: task.checkbox !== false, bullet: task.bullet === '*' ? '*' : '-', notes };
+}
+
+function sameTask(a, b) {
+  return a.text === b.text && a.checked === b.checked && a.checkbox === b.checkbox && a.bullet === b.bullet &&
+    a.notes.length === b.notes.length && a.notes.every((n, i) => n === b.notes[i]);
+}
+
+// The longest run of entries whose original lines are still in file order:
+// those stay put, everything else in the column counts as moved
+function stayingPut(entries) {
+  const length = entries.map(() => 1);
+  const prev = entries.map(() => -1);
+  entries.forEach((e, i) => {
+    for (let j = 0; j < i; j++) {
+      if (entries[j].original.line < e.original.line && length[j] + 1 > length[i]) {
+        length[i] = length[j] + 1;
+        prev[i] = j;
+      }
+    }
+  });
+  const kept = new Set();
+  for (let i = length.indexOf(Math.max(...length)); i >= 0; i = prev[i]) kept.add(entries[i]);
+  return kept;
+}
+
+// TASKS.md content with the board's columns (column → tasks) written in.
+// Tasks the dashboard sends back carry the line they were read from; one
+// that's still in its column in the same order keeps its lines, rewritten
+// only if it changed. Moved and new tasks go after the task before them,
+// or before the first one that stayed. A section the file doesn't have yet
+// is added only once it has tasks, next to its neighbours in Inbox →
+// In Progress → Done order, or at the end.
+export function applyBoard(content, columns) {
+  const { lines, sections } = parseTasks(content || '# TASKS.md\n');
+  const originals = new Map(sections.flatMap(s => s.tasks.map(t => [t.line, { ...t, column: s.column }])));
+  const inserts = Array.from({ length: lines.length + 1 }, () => []);
+  // line → replacement lines; every task not kept below is dropped
+  const replaced = new Map([...originals.keys()].map(line => [line, []]));
+
+  const claimed = new Set();
+  for (const [i, column] of COLUMNS.entries()) {
+    const entries = (Array.isArray(columns?.[column]) ? columns[column] : []).map(task => {
+      const normalized = normalizeTask(task);
+      if (!normalized) return null;
+      const original = originals.get(task.line);
+      if (!original || claimed.has(original)) return { task: normalized };
+      claimed.add(original);
+      return { task: normalized, original };
+    }).filter(Boolean);
+
+    const section = sections.find(s => s.column === column);
+    if (!section) {
+      if (!entries.length) continue;
+      const next = sections.filter(s => COLUMNS.indexOf(s.column) > i).sort((a, b) => a.start - b.start)[0];
+      const prev = sections.filter(s => COLUMNS.indexOf(s.column) < i).sort((a, b) => b.end - a.end)[0];
+      let at = next ? next.start : prev ? prev.end : lines.length;
+      if (at === lines.length && lines[at - 1] === '') at--;
+      inserts[at].push(
+        ...(at > 0 && lines[at - 1].trim() ? [''] : []),
+        `## ${HEADINGS[column]}`, ...entries.flatMap(e => taskLines(e.task)),
+        ...(lines[at]?.trim() ? [''] : []));
+      continue;
+    }
+
+    const kept = stayingPut(entries.filter(e => e.original?.column === column));
+    const first = entries.find(e => kept.has(e));
+    let lastText = section.start;
+    for (let l = section.start; l < section.end; l++) if (lines[l].trim()) lastText = l;
+    let slot = first ? first.original.line : section.tasks[0]?.line ?? lastText + 1;
+    for (const entry of entries) {
+      if (kept.has(entry)) {
+        replaced.set(entry.original.line, sameTask(entry.task, entry.original) ? null : taskLines(entry.task));
+        slot = entry.original.end;
+      } else {
+        inserts[slot].push(...taskLines(entry.task));
+      }
+    }
+  }
+
+  const out = [];
+  for (let l = 0; l <= lines.length; l++) {
+    out.push(...inserts[l]);
+    if (l === lines.length) break;
+    const replacement = replaced.get(l);
+    if (replacement) {
+      out.push(...replacement);
+      l = originals.get(l).end - 1;
+    } else {
+      out.push(lines[l]);
+    }
+  }
+  return out.join('\n');
+}
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTasks, applyBoard } from './tasks.mjs';
+
+const TASKS = `# TASKS.md
+
+Things I'm working on.
+
+## Inbox
+
+### Urgent
+- [ ] Fix the backup job
+  - it fails on Sundays
+
+- [ ] Reply to Sam
+
+Waiting on the vendor for these:
+
+### Later
+* Clean up the wiki
+- [ ] Plan the offsite
+
+## In Progress
+- [ ] Weekly report
+
+## Notes
+Not a column.
+`;
+
+// What the dashboard sends back: the columns it was given, as JSON
+const roundTrip = (columns) => JSON.parse(JSON.stringify(columns));
+
+test('parses tasks under sub-headings with their notes and lines', () => {
+  const { columns } = parseTasks(TASKS);
+  assert.deepEqual(columns.inbox.map(t => t.text), ['Fix the backup job', 'Reply to Sam', 'Clean up the wiki', 'Plan the offsite']);
+  assert.deepEqual(columns.inbox[0].notes, ['  - it fails on Sundays']);
+  assert.equal(columns.inbox[2].checkbox, false);
+  assert.equal(columns.progress[0].line, 19);
+  assert.deepEqual(columns.done, []);
+});
+
+test('an unchanged board writes the file back as it was', () => {
+  assert.equal(applyBoard(TASKS, roundTrip(parseTasks(TASKS).columns)), TASKS);
+});
+
+test('moving a task only touches its own lines', () => {
+  const columns = roundTrip(parseTasks(TASKS).columns);
+  const [task] = columns.inbox.splice(1, 1);
+  columns.progress.push(task);
+  assert.equal(applyBoard(TASKS, columns), TASKS
+    .replace('- [ ] Reply to Sam\n', '')
+    .replace('- [ ] Weekly report\n', '- [ ] Weekly report\n- [ ] Reply to Sam\n'));
+});
+
+test('completing a task adds a Done section, and only then', () => {
+  const columns = roundTrip(parseTasks(TASKS).columns);
+  const [task] = columns.progress.splice(0, 1);
+  columns.done.unshift({ ...task, checked: true });
+  assert.equal(applyBoard(TASKS, columns), TASKS
+    .replace('## In Progress\n- [ ] Weekly report\n', '## In Progress\n\n## Done\n- [x] Weekly report\n'));
+  assert.doesNotMatch(applyBoard(TASKS, roundTrip(parseTasks(TASKS).columns)), /## Done/);
+});
+
+test('new tasks go after the task before them, changed ones are rewritten in place', () => {
+  const columns = roundTrip(parseTasks(TASKS).columns);
+  columns.inbox.splice(3, 0, { text: 'Book the venue', notes: ['for 20 people'] });
+  columns.inbox[0].checked = true;
+  assert.equal(applyBoard(TASKS, columns), TASKS
+    .replace('- [ ] Fix the backup job', '- [x] Fix the backup job')
+    .replace('* Clean up the wiki\n', '* Clean up the wiki\n- [ ] Book the venue\n  for 20 people\n'));
+});
+
+test('reordering within a column keeps the rest in place', () => {
+  const columns = roundTrip(parseTasks(TASKS).columns);
+  columns.inbox.unshift(columns.inbox.pop());
+  assert.equal(applyBoard(TASKS, columns), TASKS
+    .replace('- [ ] Plan the offsite\n', '')
+    .replace('### Urgent\n', '### Urgent\n- [ ] Plan the offsite\n'));
+});
+
+test('creates the file from an empty board', () => {
+  assert.equal(applyBoard('', { inbox: [{ text: 'First task' }] }), '# TASKS.md\n\n## Inbox\n- [ ] First task\n');
+});
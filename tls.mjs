@@ -0,0 +1,70 @@
+/**
+ * Ven Agents — TLS
+ *
+ * HTTPS for LAN deployments without a reverse proxy. Either loads a
+ * provided cert/key pair, or generates a self-signed certificate on first
+ * run (via the system `openssl`) and reuses it on later starts.
+ */
+
+import { readFileSync, existsSync, mkdirSync, chmodSync } from 'fs';
+import { dirname } from 'path';
+import { hostname, networkInterfaces } from 'os';
+import { execFileSync } from 'child_process';
+import { X509Certificate } from 'crypto';
+
+const SELF_SIGNED_DAYS = 825;   // max validity browsers accept for leaf certs
+
+// Names and addresses this machine is reachable on: { dns, ip }
+export function localNames() {
+  const dns = [...new Set([hostname(), 'localhost'])];
+  const ip = new Set(['127.0.0.1', '::1']);
+  for (const addrs of Object.values(networkInterfaces())) {
+    for (const a of addrs || []) {
+      // Link-local IPv6 needs a zone id, which certificates can't carry
+      if (!a.internal && !a.address.startsWith('fe80:')) ip.add(a.address);
+    }
+  }
+  return { dns, ip: [...ip] };
+}
+
+function localSubjectAltNames() {
+  const { dns, ip } = localNames();
+  return [...dns.map(n => `DNS:${n}`), ...ip.map(a => `IP:${a}`)];
+}
+
+export function generateSelfSigned(certPath, keyPath) {
+  mkdirSync(dirname(certPath), { recursive: true });
+  mkdirSync(dirname(keyPath), { recursive: true });
+  try {
+    execFileSync('openssl', [
+      'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256',
+      '-days', String(SELF_SIGNED_DAYS),
+      '-subj', `/CN=${hostname()}/O=Ven Agents (self-signed)`,
+      '-addext', `subjectAltName=${localSubjectAltNames().join(',')}`,
+      '-keyout', keyPath, '-out', certPath,
+    ], { stdio: 'pipe', timeout: 30000 });
+  } catch (e) {
+    const reason = e.code === 'ENOENT' ? 'openssl not found' : (e.stderr?.toString().trim() || e.message);
+    throw new Error(`Could not generate a self-signed certificate (${reason}). Pass --tls-cert/--tls-key instead.`);
+  }
+  chmodSync(keyPath, 0o600);
+}
+
+// Returns { cert, key, fingerprint, expires, generated } for https.createServer
+export function loadTls({ cert, key, selfSigned = false }) {
+  let generated = false;
+  if (!existsSync(cert) || !existsSync(key)) {
+    if (!selfSigned) throw new Error(`TLS certificate or key not found (${cert}, ${key})`);
+    generateSelfSigned(cert, key);
+    generated = true;
+  }
+  const certPem = readFileSync(cert);
+  const x509 = new X509Certificate(certPem);
+  return {
+    cert: certPem,
+    key: readFileSync(key),
+    fingerprint: x509.fingerprint256,
+    expires: new Date(x509.validTo),
+    generated,
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * Ven Agents — Two-Factor (TOTP)
+ *
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s step)
+ * plus single-use recovery codes. Pure node:crypto — no network calls,
+ * so enrollment and login work on an offline host.
+ *
+ * Stored on the user record in auth.json:
+ *   totp: { secret, enabled, lastStep, recoveryCodes: [sha256…], enabledAt }
+ */
+
+import { createHmac, createHash, randomBytes } from 'crypto';
+
+const B32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;          // accept one step either side for clock skew
+const RECOVERY_CODE_COUNT = 10;
+
+export function base32Encode(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = B32.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+      value &= (1 << bits) - 1;
+    }
+  }
+  return Buffer.from(out);
+}
+
+export function generateSecret() {
+  return base32Encode(randomBytes(20));
+}
+
+function hotp(key, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const h = createHmac('sha1', key).update(msg).digest();
+  const off = h[h.length - 1] & 0x0f;
+  const bin = ((h[off] & 0x7f) << 24) | (h[off + 1] << 16) | (h[off + 2] << 8) | h[off + 3];
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+export function totpCode(secret, now = Date.now()) {
+  return hotp(base32Decode(secret), currentStep(now));
+}
+
+// Returns the matching time step, or null. Steps at or before lastStep are
+// rejected so a code can't be replayed.
+export function verifyTotp(secret, code, { lastStep = -1, now = Date.now() } = {}) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+  for (let s = step - DRIFT_STEPS; s <= step + DRIFT_STEPS; s++) {
+    if (s > lastStep && hotp(key, s) === clean) return s;
+  }
+  return null;
+}
+
+export function otpauthUri({ secret, account, issuer }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`;
+}
+
+// ── Recovery codes ──
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+// Returns { codes, hashes } — codes are shown once, only hashes are stored
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const hex = randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+export function isRecoveryCode(code) {
+  return normalizeRecoveryCode(code).length === 10;
+}
+
+// Consumes a recovery code from the totp record; returns true if it matched
+export function useRecoveryCode(totp, code) {
+  const idx = (totp.recoveryCodes || []).indexOf(hashRecoveryCode(code));
+  if (idx === -1) return false;
+  totp.recoveryCodes.splice(idx, 1);
+  return true;
+}
+
+// Accepts either a current TOTP code or an unused recovery code, updating
+// the record (lastStep / remaining codes). Returns 'totp', 'recovery' or null.
+export function checkSecondFactor(totp, code) {
+  if (!totp?.enabled) return null;
+  const step = verifyTotp(totp.secret, code, { lastStep: totp.lastStep ?? -1 });
+  if (step !== null) {
+    totp.lastStep = step;
+    return 'totp';
+  }
+  if (isRecoveryCode(code) && useRecoveryCode(totp, code)) return 'recovery';
+  return null;
+}
@@ -0,0 +1,131 @@
+/**
+ * Ven Agents — Users
+ *
+ * Dashboard accounts stored in auth.json. Every account has a role:
+ *   viewer   → read-only (fleet, analytics, tokens, traces)
+ *   operator → viewer + agent actions (heartbeat, new session)
+ *   admin    → operator + destructive actions, agent creation, user management
+ *
+ * Passwords are stored as salted scrypt hashes. Legacy auth.json files
+ * (a single shared `password`, or plaintext per-user passwords) are
+ * migrated on load.
+ */
+
+import { readFileSync, existsSync, writeFileSync } from 'fs';
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// scrypt cost parameters (N=2^15 ≈ 50ms per hash on a laptop)
+const SCRYPT = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const KEY_LEN = 64;
+
+// Format: scrypt$N$r$p$<salt b64>$<hash b64>
+export function hashPassword(pw) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(String(pw), salt, KEY_LEN, SCRYPT);
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+function checkHash(pw, stored) {
+  const [scheme, N, r, p, saltB64, hashB64] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, 'base64');
+  const actual = scryptSync(String(pw), Buffer.from(saltB64, 'base64'), expected.length, {
+    N: parseInt(N), r: parseInt(r), p: parseInt(p), maxmem: SCRYPT.maxmem,
+  });
+  return timingSafeEqual(actual, expected);
+}
+
+export function loadAuth(authPath) {
+  let auth = null;
+  if (existsSync(authPath)) {
+    try { auth = JSON.parse(readFileSync(authPath, 'utf8')); } catch {}
+  }
+
+  if (!auth) {
+    // Generate default admin account on first run
+    const pw = randomBytes(12).toString('base64url');
+    auth = { users: [{ username: 'admin', passwordHash: hashPassword(pw), role: 'admin' }], sessionTtlHours: 24, sessionIdleMinutes: 120 };
+    saveAuth(authPath, auth);
+    console.log(`🔐 Generated password for "admin": ${pw}`);
+    console.log(`   Stored in: ${authPath}`);
+    return auth;
+  }
+
+  let migrated = false;
+
+  // Migrate single shared password → admin account
+  if (!Array.isArray(auth.users)) {
+    auth.users = [];
+    if (auth.password) {
+      auth.users.push({ username: 'admin', password: auth.password, role: 'admin' });
+      console.log('🔐 Migrated shared password to user "admin"');
+    }
+    delete auth.password;
+    migrated = true;
+  }
+
+  // Migrate plaintext passwords → scrypt hashes
+  for (const user of auth.users) {
+    if (user.password !== undefined) {
+      setPassword(user, user.password);
+      console.log(`🔐 Hashed plaintext password for "${user.username}"`);
+      migrated = true;
+    }
+  }
+
+  if (migrated) saveAuth(authPath, auth);
+  return auth;
+}
+
+export function saveAuth(authPath, auth) {
+  writeFileSync(authPath, JSON.stringify(auth, null, 2), { encoding: 'utf8', mode: 0o600 });
+}
+
+export function findUser(auth, username) {
+  if (!username) return null;
+  const name = String(username).toLowerCase();
+  return auth.users.find(u => u.username === name) || null;
+}
+
+// Unknown users still pay for one hash so timing doesn't reveal usernames
+const DUMMY_HASH = hashPassword(randomBytes(16).toString('hex'));
+
+export function verifyPassword(user, password) {
+  if (password === undefined || password === null) return false;
+  if (!user?.passwordHash) { checkHash(password, DUMMY_HASH); return false; }
+  try { return checkHash(password, user.passwordHash); } catch { return false; }
+}
+
+export function setPassword(user, password) {
+  user.passwordHash = hashPassword(password);
+  delete user.password;
+}
+
+export function hasRole(user, role) {
+  if (!user) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+export function publicUser(user) {
+  return { username: user.username, role: user.role, created: user.created || null, totpEnabled: !!user.totp?.enabled };
+}
+
+export function countAdmins(auth) {
+  return auth.users.filter(u => u.role === 'admin').length;
+}
+
+// Returns an error string, or null if valid
+export function validateUser({ username, password, role }, { requirePassword = true } = {}) {
+  if (username !== undefined && !/^[a-z0-9][a-z0-9._-]{1,31}$/.test(String(username).toLowerCase())) {
+    return 'Username must be 2–32 chars: letters, digits, dot, dash, underscore';
+  }
+  if ((requirePassword || password !== undefined) && String(password || '').length < 8) {
+    return 'Password must be at least 8 characters';
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return `Role must be one of: ${ROLES.join(', ')}`;
+  }
+  return null;
+}
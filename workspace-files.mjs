@@ -0,0 +1,96 @@
+/**
+ * Ven Agents — Workspace Files
+ *
+ * Editing an agent's workspace markdown (SOUL.md, MEMORY.md, TASKS.md, …)
+ * from the dashboard. Saves are checked against the mtime the editor loaded
+ * so an edit never silently overwrites a change the agent (or someone else)
+ * made in the meantime, and the previous content is snapshotted first:
+ *   workspace-versions/<agentId>/<file>/<ts>.json
+ *
+ * Snapshots live in the dashboard's dataDir, not in the workspace, so the
+ * agent never reads them back as context.
+ */
+
+import { readFileSync, writeFileSync, existsSync, readdirSync, mkdirSync, statSync, unlinkSync, renameSync } from 'fs';
+import { join } from 'path';
+
+// The files the agent detail page shows, in workspace root
+export const EDITABLE_FILES = [
+  'SOUL.md', 'IDENTITY.md', 'USER.md', 'AGENTS.md', 'MEMORY.md',
+  'TASKS.md', 'TOOLS.md', 'HEARTBEAT.md', 'ACTIVE_WORK.md', 'BOOTSTRAP.md',
+];
+
+const VERSION_RE = /^(\d+)\.json$/;
+const MAX_VERSIONS = 50;
+const MAX_FILE_BYTES = 1024 * 1024;
+
+export function isEditableFile(name) {
+  return EDITABLE_FILES.includes(name);
+}
+
+// { name, exists, content, mtime, size }. mtime is null for a missing file.
+export function readWorkspaceFile(workspace, name) {
+  const file = join(workspace, name);
+  if (!existsSync(file)) return { name, exists: false, content: '', mtime: null, size: 0 };
+  const st = statSync(file);
+  return { name, exists: true, content: readFileSync(file, 'utf8'), mtime: st.mtimeMs, size: st.size };
+}
+
+export function fileVersionsDir(rootDir, agentId, name) {
+  return join(rootDir, agentId.replace(/[^\w.-]/g, '_'), name);
+}
+
+// Writes content if the file still has baseMtime (null = must not exist
+// yet). The old content is snapshotted first. Returns { mtime, version },
+// or { conflict: true, mtime } with the file's current mtime.
+export function saveWorkspaceFile(workspace, name, content, { baseMtime, versionsDir, savedBy = null }) {
+  if (typeof content !== 'string') throw new Error('content must be a string');
+  if (Buffer.byteLength(content) > MAX_FILE_BYTES) throw new Error('File is too large (1 MB max)');
+  const current = readWorkspaceFile(workspace, name);
+  if (current.mtime !== (baseMtime ?? null)) return { conflict: true, mtime: current.mtime };
+
+  const version = current.exists ? saveVersion(versionsDir, current, savedBy) : null;
+  const file = join(workspace, name);
+  const tmp = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmp, content, 'utf8');
+  renameSync(tmp, file);
+  return { mtime: statSync(file).mtimeMs, version };
+}
+
+// Snapshots a file's current content. Prunes all but the newest MAX_VERSIONS.
+function saveVersion(dir, { content, mtime }, replacedBy) {
+  mkdirSync(dir, { recursive: true, mode: 0o700 });
+  let ts = Date.now();
+  while (existsSync(join(dir, `${ts}.json`))) ts++;
+  const name = `${ts}.json`;
+  writeFileSync(join(dir, name), JSON.stringify({ savedAt: ts, replacedBy, mtime, content }), { encoding: 'utf8', mode: 0o600 });
+  const names = readdirSync(dir).filter(n => VERSION_RE.test(n)).sort().reverse();
+  for (const old of names.slice(MAX_VERSIONS)) {
+    try { unlinkSync(join(dir, old)); } catch {}
+  }
+  return name;
+}
+
+// [{ name, savedAt, replacedBy, mtime, size }], newest first. mtime is when
+// the snapshotted content was last written; replacedBy who saved over it.
+export function listVersions(dir) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(n => VERSION_RE.test(n))
+    .map(name => {
+      try {
+        const { savedAt, replacedBy, mtime, content } = JSON.parse(readFileSync(join(dir, name), 'utf8'));
+        return { name, savedAt, replacedBy: replacedBy || null, mtime, size: Buffer.byteLength(content) };
+      } catch { return null; }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+// Content of a snapshot, or null
+export function readVersion(dir, name) {
+  if (typeof name !== 'string' || !VERSION_RE.test(name)) return null;
+  const file = join(dir, name);
+  if (!existsSync(file)) return null;
+  try { return JSON.parse(readFileSync(file, 'utf8')).content ?? null; } catch { return null; }
+}